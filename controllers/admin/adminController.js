@@ -1,5 +1,7 @@
 const User = require('../../models/schemas/userSchema');
 const Contact = require('../../models/schemas/contactSchema');
+const ParseCacheService = require('../../services/parseCacheService');
+const mongoose = require('mongoose');
 
 class AdminController {
   static async getAllUsers(req, res) {
@@ -127,6 +129,66 @@ class AdminController {
       });
     }
   }
+
+  static async getParseCacheStats(req, res) {
+    try {
+      // Verify admin role from JWT
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Admin only.'
+        });
+      }
+
+      const stats = await ParseCacheService.getStats();
+
+      res.status(200).json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch parse cache stats',
+        error: error.message
+      });
+    }
+  }
+
+  // Purge the whole parse cache, or one user's entries with ?userId=
+  static async purgeParseCache(req, res) {
+    try {
+      // Verify admin role from JWT
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Admin only.'
+        });
+      }
+
+      const { userId } = req.query;
+
+      if (userId !== undefined && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid userId.'
+        });
+      }
+
+      const deletedCount = await ParseCacheService.purge({ userId });
+
+      res.status(200).json({
+        success: true,
+        data: { deletedCount }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to purge parse cache',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = AdminController;
@@ -1,22 +1,47 @@
 const { analyzeResumeWithAI } = require('../../services/aiAnalysisService');
+const resumeScoringService = require('../../services/resumeScoringService');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
 
 /**
  * Analyze resume against job role and experience level
+ * The rule-based score is always included; when the AI analysis fails (no API key,
+ * quota exhausted, unparseable response) it is returned on its own instead
  */
 async function analyzeResume(req, res) {
   try {
-    const { resumeData, jobRole, experienceLevel } = req.body;
+    const { jobRole, experienceLevel } = req.body;
 
-    if (!resumeData || !jobRole || !experienceLevel) {
+    if (!req.body.resumeData || !jobRole || !experienceLevel) {
       return res.status(400).json({
         error: 'Missing required fields',
         message: 'Please provide resumeData, jobRole, and experienceLevel'
       });
     }
 
-    const analysis = await analyzeResumeWithAI(resumeData, jobRole, experienceLevel);
+    const { resumeData, errors } = ResumeDataSchema.validate(req.body.resumeData, { allowIncomplete: true });
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors
+      });
+    }
 
-    res.json(analysis);
+    const ruleBased = resumeScoringService.score(resumeData);
+
+    let analysis;
+    try {
+      analysis = await analyzeResumeWithAI(resumeData, jobRole, experienceLevel);
+    } catch (aiError) {
+      return res.json({
+        ...resumeScoringService.toAnalysis(ruleBased),
+        source: 'rules',
+        aiError: aiError.message,
+        ruleBased
+      });
+    }
+
+    res.json({ ...analysis, source: 'ai', ruleBased });
   } catch (error) {
     res.status(500).json({
       error: 'Failed to analyze resume',
@@ -25,6 +50,33 @@ async function analyzeResume(req, res) {
   }
 }
 
+/**
+ * Rule-based completeness and quality score (no AI, no job role needed)
+ */
+async function scoreResume(req, res) {
+  try {
+    const { resumeData, errors } = ResumeDataSchema.validate(req.body.resumeData, { allowIncomplete: true });
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: resumeScoringService.score(resumeData)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to score resume',
+      message: error.message
+    });
+  }
+}
+
 module.exports = {
-  analyzeResume
+  analyzeResume,
+  scoreResume
 };
@@ -0,0 +1,172 @@
+const pdfService = require('../../services/pdfService');
+const CustomTemplateService = require('../../services/customTemplateService');
+const sampleResume = require('../../templates/sample-resume.json');
+
+// Render the template with sample data so runtime errors surface on upload, not on export
+const checkRenders = async (template) => {
+  try {
+    await pdfService.generateResumeHTML(sampleResume, CustomTemplateService.toEntry(template));
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Upload a Handlebars template with its CSS
+exports.createCustomTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+
+    const { template, errors } = CustomTemplateService.validate(req.body);
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: 'Template failed validation',
+        errors
+      });
+    }
+
+    const renderError = await checkRenders(template);
+    if (renderError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: renderError
+      });
+    }
+
+    const count = await CustomTemplateService.countForUser(userId);
+    if (count >= CustomTemplateService.MAX_TEMPLATES_PER_USER) {
+      return res.status(400).json({
+        error: 'Template limit reached',
+        message: `You can upload at most ${CustomTemplateService.MAX_TEMPLATES_PER_USER} templates`
+      });
+    }
+
+    const created = await CustomTemplateService.createTemplate(userId, template);
+
+    res.status(201).json({
+      success: true,
+      message: 'Template uploaded successfully',
+      data: CustomTemplateService.toView(created, userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to upload template',
+      message: error.message
+    });
+  }
+};
+
+// The user's own templates and templates shared by others
+exports.getCustomTemplates = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const templates = await CustomTemplateService.listForUser(userId);
+
+    res.status(200).json({
+      success: true,
+      data: templates.map(template => CustomTemplateService.toView(template, userId))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch templates',
+      message: error.message
+    });
+  }
+};
+
+exports.getCustomTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const template = await CustomTemplateService.findAccessible(req.params.templateId, userId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: CustomTemplateService.toView(template, userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch template',
+      message: error.message
+    });
+  }
+};
+
+// Replace the source or CSS, rename, or share/unshare; omitted fields keep their values
+exports.updateCustomTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { templateId } = req.params;
+
+    const existing = await CustomTemplateService.findOwned(userId, templateId);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const { template, errors } = CustomTemplateService.validate(req.body, existing);
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: 'Template failed validation',
+        errors
+      });
+    }
+
+    const renderError = await checkRenders(template);
+    if (renderError) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: renderError
+      });
+    }
+
+    const updated = await CustomTemplateService.updateTemplate(userId, templateId, template);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template updated successfully',
+      data: CustomTemplateService.toView(updated, userId)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update template',
+      message: error.message
+    });
+  }
+};
+
+// Resumes saved with a deleted template fall back to the classic template
+exports.deleteCustomTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const deleted = await CustomTemplateService.deleteTemplate(userId, req.params.templateId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete template',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,61 @@
+const ParseJobService = require('../../services/parseJobService');
+
+// Status, stage and (once completed) result of a resume upload
+exports.getParseJob = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const job = await ParseJobService.getJob(userId, req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parse job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: ParseJobService.toView(job)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch parse job',
+      message: error.message
+    });
+  }
+};
+
+// Cancel a queued or running upload; finished jobs cannot be cancelled
+exports.cancelParseJob = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const job = await ParseJobService.cancelJob(userId, req.params.id);
+
+    if (!job) {
+      const existing = await ParseJobService.getJob(userId, req.params.id);
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parse job not found'
+        });
+      }
+
+      return res.status(409).json({
+        error: 'Parse job already finished',
+        message: `The job is already ${existing.status}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Parse job cancelled',
+      data: ParseJobService.toView(job)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to cancel parse job',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,198 @@
+const portfolioService = require('../../services/portfolioService');
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+const ExportFilename = require('../../utils/exportFilename');
+const HttpCache = require('../../utils/httpCache');
+
+// Path the public router serves portfolios under (see server.js)
+const PUBLIC_PORTFOLIO_PATH = '/skill-mint/public/p';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8'
+};
+
+// Pages are rendered from the current resume, so edits and unpublishing show up within this long
+const PORTFOLIO_MAX_AGE_SECONDS = 60;
+
+const getPortfolioBaseUrl = (req) =>
+  process.env.PUBLIC_PORTFOLIO_BASE_URL || `${req.protocol}://${req.get('host')}${PUBLIC_PORTFOLIO_PATH}`;
+
+// Minimal standalone page for public portfolio errors
+const renderMessagePage = (title, message) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="robots" content="noindex">
+  <title>${title}</title>
+</head>
+<body>
+  <h1>${title}</h1>
+  <p>${message}</p>
+</body>
+</html>`;
+
+const NOT_FOUND_PAGE = renderMessagePage('Page not found', 'This portfolio does not exist or is no longer published.');
+
+const findSavedResume = (userId, resumeId) => Resume.findOne({ userId, resumeId }).lean();
+
+// Download a saved resume as a static portfolio website (ZIP)
+exports.downloadPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const resume = await findSavedResume(userId, id);
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const resumeData = ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion);
+    const zip = await portfolioService.generateZip(resumeData, resume.theme);
+    const filename = ExportFilename.build(resume.resumeName, 'zip').replace(/_Resume\.zip$/, '_Portfolio.zip');
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', zip.length);
+    res.send(zip);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to generate portfolio',
+      message: error.message
+    });
+  }
+};
+
+// Publish (or move) a saved resume's portfolio under a public slug
+exports.publishPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const { error, slug } = portfolioService.parseSlug(req.body.slug);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid slug',
+        message: error
+      });
+    }
+
+    const resume = await Resume.exists({ userId, resumeId: id });
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const { portfolio, conflict } = await portfolioService.publish(userId, id, slug);
+
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Slug unavailable',
+        message: `"${slug}" is already used by another portfolio`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio published successfully',
+      data: portfolioService.toOwnerView(portfolio, getPortfolioBaseUrl(req))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to publish portfolio',
+      message: error.message
+    });
+  }
+};
+
+// Publication status of a saved resume's portfolio
+exports.getPublishedPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const portfolio = await portfolioService.findPublished(userId, id);
+
+    res.status(200).json({
+      success: true,
+      data: portfolio ? portfolioService.toOwnerView(portfolio, getPortfolioBaseUrl(req)) : null
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch portfolio',
+      message: error.message
+    });
+  }
+};
+
+// Take a published portfolio offline
+exports.unpublishPortfolio = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const portfolio = await portfolioService.unpublish(userId, id);
+
+    if (!portfolio) {
+      return res.status(404).json({
+        success: false,
+        message: 'Portfolio is not published'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Portfolio unpublished successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to unpublish portfolio',
+      message: error.message
+    });
+  }
+};
+
+// Public: serve a page or the stylesheet of a published portfolio, rendered from the current resume
+exports.viewPortfolio = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const filePath = req.params[0];
+
+    // Pages link to each other relatively, so the site root needs a trailing slash
+    if (filePath === undefined && !req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}${req.path}/`);
+    }
+
+    const portfolio = await portfolioService.findBySlug(slug);
+    const resume = portfolio && await findSavedResume(portfolio.userId, portfolio.resumeId);
+
+    if (!resume) {
+      return res.status(404).send(NOT_FOUND_PAGE);
+    }
+
+    const resumeData = ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion);
+    const files = await portfolioService.buildSite(resumeData, resume.theme);
+    const requested = filePath || 'index.html';
+
+    if (!files.has(requested)) {
+      return res.status(404).send(NOT_FOUND_PAGE);
+    }
+
+    if (requested.endsWith('.html')) {
+      await portfolioService.recordView(portfolio._id);
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[requested.slice(requested.lastIndexOf('.'))]);
+    HttpCache.setPublic(res, PORTFOLIO_MAX_AGE_SECONDS);
+    res.send(files.get(requested));
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Something went wrong', 'Failed to load this portfolio. Please try again later.'));
+  }
+};
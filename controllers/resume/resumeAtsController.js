@@ -0,0 +1,121 @@
+const atsService = require('../../services/atsService');
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+const ResumeLanguageService = require('../../services/resumeLanguageService');
+const ExportFilename = require('../../utils/exportFilename');
+
+const sendPlainText = (res, text, name) => {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(name, 'txt')}"`);
+  res.send(text);
+};
+
+const sendAtsHTML = (res, html, name) => {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(name, 'html')}"`);
+  res.send(html);
+};
+
+// Validate posted resume data (template/theme keys are dropped as unknown), replying with field-level errors when invalid
+const validateBody = (req, res) => {
+  const { resumeData, errors } = ResumeDataSchema.validate(req.body);
+
+  if (errors) {
+    res.status(400).json({
+      error: 'Invalid resume data',
+      message: 'Resume data failed validation',
+      errors
+    });
+    return null;
+  }
+
+  return resumeData;
+};
+
+// Saved resume with its data in the requested ?language, replying with 404 when either is missing
+const findSavedResume = async (req, res) => {
+  const userId = req.user.userId; // From auth middleware
+  const { id } = req.params; // This is resumeId
+
+  const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+
+  if (!resume) {
+    res.status(404).json({
+      success: false,
+      message: 'Resume not found'
+    });
+    return null;
+  }
+
+  const resumeData = ResumeLanguageService.selectResumeData(resume, req.query.language);
+
+  if (!resumeData) {
+    res.status(404).json({
+      success: false,
+      message: 'Language variant not found'
+    });
+    return null;
+  }
+
+  return { resume, resumeData };
+};
+
+// Render posted resume data as plain text
+exports.exportPlainText = async (req, res) => {
+  try {
+    const resumeData = validateBody(req, res);
+    if (!resumeData) return;
+
+    sendPlainText(res, atsService.generatePlainText(resumeData), resumeData.personalInfo.name);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to export plain text',
+      message: error.message
+    });
+  }
+};
+
+// Render posted resume data as single-column ATS-safe HTML
+exports.exportAtsHTML = async (req, res) => {
+  try {
+    const resumeData = validateBody(req, res);
+    if (!resumeData) return;
+
+    sendAtsHTML(res, await atsService.generateHTML(resumeData), resumeData.personalInfo.name);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to export ATS HTML',
+      message: error.message
+    });
+  }
+};
+
+// Plain text export of a saved resume
+exports.exportSavedResumePlainText = async (req, res) => {
+  try {
+    const saved = await findSavedResume(req, res);
+    if (!saved) return;
+
+    sendPlainText(res, atsService.generatePlainText(saved.resumeData), saved.resume.resumeName);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to export plain text',
+      message: error.message
+    });
+  }
+};
+
+// ATS-safe HTML export of a saved resume
+exports.exportSavedResumeAtsHTML = async (req, res) => {
+  try {
+    const saved = await findSavedResume(req, res);
+    if (!saved) return;
+
+    sendAtsHTML(res, await atsService.generateHTML(saved.resumeData), saved.resume.resumeName);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to export ATS HTML',
+      message: error.message
+    });
+  }
+};
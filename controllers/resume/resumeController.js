@@ -1,21 +1,123 @@
+const crypto = require('crypto');
 const pdfService = require('../../services/pdfService');
-const pdfParserService = require('../../services/pdfParserService');
+const pageFitService = require('../../services/pageFitService');
+const atsService = require('../../services/atsService');
+const docxService = require('../../services/docxService');
+const templateRegistry = require('../../services/templateRegistry');
+const CustomTemplateService = require('../../services/customTemplateService');
+const ParseJobService = require('../../services/parseJobService');
+const parseJobWorker = require('../../services/parseJobWorker');
+const ParseCacheService = require('../../services/parseCacheService');
 const geminiService = require('../../services/geminiService');
-const User = require('../../models/schemas/userSchema');
+const Resume = require('../../models/schemas/resumeSchema');
+const JsonResumeConverter = require('../../utils/jsonResumeConverter');
+const ResumeTheme = require('../../utils/resumeTheme');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+const ExportFilename = require('../../utils/exportFilename');
+const ResumeFileType = require('../../utils/resumeFileType');
+const ResumeVersionService = require('../../services/resumeVersionService');
+const ResumeShareService = require('../../services/resumeShareService');
+const portfolioService = require('../../services/portfolioService');
+const ResumeLanguageService = require('../../services/resumeLanguageService');
 // const { scanBuffer } = require("../../utils/clamScanner");
 
-exports.uploadAndParsePDF = async (req, res) => {
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_FOLDER_LENGTH = 60;
+
+const generateResumeId = () => `resume_${crypto.randomBytes(8).toString('hex')}_${Date.now()}`;
+
+// Validate organisation fields (resumeName, tags, folder, isPinned) from a request body
+const parseResumeMetadata = (body = {}) => {
+  const update = {};
+
+  if (body.resumeName !== undefined) {
+    if (typeof body.resumeName !== 'string' || body.resumeName.trim() === '') {
+      return { error: 'Resume name is required' };
+    }
+    update.resumeName = body.resumeName.trim();
+  }
+
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'Tags must be an array of strings' };
+    }
+    const tags = [...new Set(body.tags.map(tag => tag.trim()).filter(Boolean))];
+    if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return { error: `Up to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters are allowed` };
+    }
+    update.tags = tags;
+  }
+
+  if (body.folder !== undefined) {
+    if (body.folder !== null && typeof body.folder !== 'string') {
+      return { error: 'Folder must be a string' };
+    }
+    const folder = (body.folder || '').trim();
+    if (folder.length > MAX_FOLDER_LENGTH) {
+      return { error: `Folder name must be at most ${MAX_FOLDER_LENGTH} characters` };
+    }
+    update.folder = folder;
+  }
+
+  if (body.isPinned !== undefined) {
+    if (typeof body.isPinned !== 'boolean') {
+      return { error: 'isPinned must be a boolean' };
+    }
+    update.isPinned = body.isPinned;
+  }
+
+  return { update };
+};
+
+// Snapshot a saved resume; the save itself already succeeded, so only log failures
+const recordResumeVersion = async (userId, resume) => {
+  try {
+    await ResumeVersionService.recordVersion(userId, resume);
+  } catch (error) {
+    console.error(`Failed to record version for resume ${resume.resumeId}:`, error);
+  }
+};
+
+// Identify an uploaded resume by its content and apply the size limit of its format
+const checkUploadedFile = (file) => {
+  const fileType = ResumeFileType.detect(file.buffer);
+
+  if (!fileType) {
+    return { error: 'Invalid file type', message: `Only ${ResumeFileType.describeSupported()} files are allowed` };
+  }
+
+  if (file.size > fileType.maxSize) {
+    return { error: 'File too large', message: `${fileType.label} files must be at most ${ResumeFileType.formatSize(fileType.maxSize)}` };
+  }
+
+  return { fileType };
+};
+
+// Validate an upload and queue it for the parse job worker; clients poll GET /parse-jobs/:id.
+// Repeat uploads of the same file are answered from the parse cache with an already completed job
+const queueUploadedResume = async (req, res, mode) => {
   try {
     if (!req.file) {
       return res.status(400).json({ 
         error: 'No file uploaded',
-        message: 'Please upload a PDF file' 
+        message: `Please upload a ${ResumeFileType.describeSupported()} file` 
       });
     }
-    if (req.file.mimetype !== 'application/pdf') {
+
+    const { fileType, error: fileError, message: fileMessage } = checkUploadedFile(req.file);
+    if (fileError) {
       return res.status(400).json({ 
-        error: 'Invalid file type',
-        message: 'Only PDF files are allowed' 
+        error: fileError,
+        message: fileMessage 
       });
     }
 
@@ -28,138 +130,301 @@ exports.uploadAndParsePDF = async (req, res) => {
     //   });
     // }
 
-    const extractedText = await pdfParserService.extractTextFromPDF(req.file.buffer);
-    
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'Empty PDF',
-        message: 'Could not extract text from the PDF. Please try a different file.' 
+    // Multipart form field or query parameter; 'heuristic' skips AI parsing entirely
+    const parser = (req.body && req.body.parser) || req.query.parser || 'auto';
+    if (!geminiService.PARSERS.includes(parser)) {
+      return res.status(400).json({
+        error: 'Invalid parser',
+        message: `parser must be one of: ${geminiService.PARSERS.join(', ')}`
       });
     }
 
-    const parsedResumeData = await geminiService.parseResumeWithAI(extractedText);
+    // Same file, parser and parser version as an earlier upload: answer from the cache
+    const { cacheKey } = ParseCacheService.buildKey(req.file.buffer, parser);
+    const cached = await ParseCacheService.lookup(req.user.userId, cacheKey);
 
-    // Send the parsed data back to the client
-    return res.status(200).json({
+    if (cached) {
+      const job = await ParseJobService.createCachedJob(req.user.userId, req.file, fileType.type, { mode, parser }, cached);
+
+      res.setHeader('Location', `${req.baseUrl}/parse-jobs/${job.jobId}`);
+      return res.status(200).json({
+        success: true,
+        message: 'Resume parsed (cached result)',
+        data: ParseJobService.toView(job)
+      });
+    }
+
+    const activeJobs = await ParseJobService.countActiveJobs(req.user.userId);
+    if (activeJobs >= ParseJobService.MAX_ACTIVE_JOBS_PER_USER) {
+      return res.status(429).json({
+        error: 'Too many uploads in progress',
+        message: `Wait for your current uploads to finish (at most ${ParseJobService.MAX_ACTIVE_JOBS_PER_USER} at a time)`
+      });
+    }
+
+    // Text extraction, OCR and AI parsing run in the background worker
+    const job = await ParseJobService.createJob(req.user.userId, req.file, fileType.type, { mode, parser, cacheKey });
+    parseJobWorker.wake();
+
+    res.setHeader('Location', `${req.baseUrl}/parse-jobs/${job.jobId}`);
+    return res.status(202).json({
       success: true,
-      data: parsedResumeData
+      message: 'Resume queued for parsing',
+      data: ParseJobService.toView(job)
     });
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to process PDF',
+      error: 'Failed to process resume file',
       message: error.message 
     });
   }
 };
 
-// New endpoint for dynamic resume builder - returns structured object with id fields
-exports.uploadAndParseDynamicPDF = async (req, res) => {
+exports.uploadAndParsePDF = (req, res) => queueUploadedResume(req, res, 'standard');
+
+// Dynamic resume builder upload; the job result has id fields on every entry
+exports.uploadAndParseDynamicPDF = (req, res) => queueUploadedResume(req, res, 'dynamic');
+
+exports.generatePreview = async (req, res) => {
   try {
-    if (!req.file) {
+    const { template = 'resume-template', theme, ...submittedData } = req.body;
+    
+    // Validate against the resume data schema (field-level errors, unknown keys dropped)
+    const { resumeData, errors } = ResumeDataSchema.validate(submittedData);
+    if (errors) {
       return res.status(400).json({ 
-        error: 'No file uploaded',
-        message: 'Please upload a PDF file' 
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors 
       });
     }
-    if (req.file.mimetype !== 'application/pdf') {
+
+    const { theme: resumeTheme, error: themeError } = ResumeTheme.normalize(theme);
+    if (themeError) {
       return res.status(400).json({ 
-        error: 'Invalid file type',
-        message: 'Only PDF files are allowed' 
+        error: 'Invalid theme',
+        message: themeError 
       });
     }
 
-    const extractedText = await pdfParserService.extractTextFromPDF(req.file.buffer);
-    
-    if (!extractedText || extractedText.trim().length === 0) {
+    // Built-in template, or a custom one the user owns or that is shared
+    const selectedTemplate = await templateRegistry.resolveForUser(template, req.user.userId);
+
+    // Generate HTML preview with selected template
+    const htmlContent = await pdfService.generateResumeHTML(resumeData, selectedTemplate, resumeTheme);
+
+    // ATS problems of the chosen template travel with the HTML as a JSON header
+    const atsWarnings = await atsService.checkTemplate(selectedTemplate, htmlContent);
+
+    res.setHeader('Content-Type', 'text/html');
+    res.setHeader('X-ATS-Warnings', atsService.toHeaderValue(atsWarnings));
+    if (selectedTemplate.isCustom) {
+      res.setHeader('Content-Security-Policy', CustomTemplateService.CONTENT_SECURITY_POLICY);
+    }
+    res.send(htmlContent);
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to generate preview',
+      message: error.message 
+    });
+  }
+};
+
+// Estimate page count and per-section overflow of a preview, optionally fitting it to N pages
+exports.getPreviewLayout = async (req, res) => {
+  try {
+    const { template = 'resume-template', pdfOptions = {}, theme, fitToPages, ...submittedData } = req.body;
+
+    // Validate against the resume data schema (field-level errors, unknown keys dropped)
+    const { resumeData, errors } = ResumeDataSchema.validate(submittedData);
+    if (errors) {
       return res.status(400).json({ 
-        error: 'Empty PDF',
-        message: 'Could not extract text from the PDF. Please try a different file.' 
-      });
-    }
-
-    const parsedResumeData = await geminiService.parseResumeWithAI(extractedText);
-
-    // Transform the data to match DynamicResumeEditor structure with id fields
-    const dynamicResumeData = {
-      personalInfo: {
-        name: parsedResumeData.personalInfo?.name || '',
-        email: parsedResumeData.personalInfo?.email || '',
-        phone: parsedResumeData.personalInfo?.phone || '',
-        linkedin: parsedResumeData.personalInfo?.linkedin || ''
-      },
-      summary: parsedResumeData.summary || '',
-      skills: parsedResumeData.skills || [],
-      education: (parsedResumeData.education || []).map((edu, idx) => ({
-        id: `edu-${Date.now()}-${idx}`,
-        institution: edu.institution || '',
-        degree: edu.degree || '',
-        year: edu.year || ''
-      })),
-      experience: (parsedResumeData.experience || []).map((exp, idx) => ({
-        id: `exp-${Date.now()}-${idx}`,
-        title: exp.title || '',
-        company: exp.company || '',
-        duration: exp.duration || '',
-        description: exp.description || ''
-      })),
-      projects: (parsedResumeData.projects || []).map((proj, idx) => ({
-        id: `proj-${Date.now()}-${idx}`,
-        name: proj.name || '',
-        description: proj.description || '',
-        technologies: proj.technologies || ''
-      })),
-      certifications: parsedResumeData.certifications || []
-    };
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors 
+      });
+    }
 
-    // Send the parsed data back to the client
-    return res.status(200).json({
+    const { theme: resumeTheme, error: themeError } = ResumeTheme.normalize(theme);
+    if (themeError) {
+      return res.status(400).json({ 
+        error: 'Invalid theme',
+        message: themeError 
+      });
+    }
+
+    let options;
+    try {
+      options = pdfService.normalizePdfOptions(pdfOptions);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid PDF options',
+        message: validationError.message
+      });
+    }
+
+    const { options: fitOptions, error: fitError } = pageFitService.parseFitOptions({ fitToPages });
+    if (fitError) {
+      return res.status(400).json({
+        error: 'Invalid fit options',
+        message: fitError
+      });
+    }
+
+    const selectedTemplate = await templateRegistry.resolveForUser(template, req.user.userId);
+
+    // Fitting returns the adjusted theme so the client can apply it to preview/export
+    const layout = fitOptions.fit
+      ? await pageFitService.fitToPages(resumeData, selectedTemplate, options, resumeTheme, fitOptions.targetPages)
+      : await pageFitService.measure(resumeData, selectedTemplate, options, resumeTheme, fitOptions.targetPages);
+
+    res.status(200).json({
       success: true,
-      data: dynamicResumeData
+      data: layout
     });
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to process PDF',
+      error: 'Failed to measure resume layout',
       message: error.message 
     });
   }
 };
 
-exports.generatePreview = async (req, res) => {
+// Render posted resume data to a downloadable PDF
+exports.exportPDF = async (req, res) => {
   try {
-    const { template = 'resume-template', ...resumeData } = req.body;
-    
-    // Validate required fields
-    if (!resumeData.personalInfo || !resumeData.personalInfo.name) {
+    const { template = 'resume-template', pdfOptions = {}, theme, ...submittedData } = req.body;
+
+    // Validate against the resume data schema (field-level errors, unknown keys dropped)
+    const { resumeData, errors } = ResumeDataSchema.validate(submittedData);
+    if (errors) {
       return res.status(400).json({ 
         error: 'Invalid resume data',
-        message: 'Personal info with name is required' 
+        message: 'Resume data failed validation',
+        errors 
       });
     }
 
-    // Generate HTML preview with selected template
-    const htmlContent = await pdfService.generateResumeHTML(resumeData, template);
+    const { theme: resumeTheme, error: themeError } = ResumeTheme.normalize(theme);
+    if (themeError) {
+      return res.status(400).json({ 
+        error: 'Invalid theme',
+        message: themeError 
+      });
+    }
 
-    res.setHeader('Content-Type', 'text/html');
-    res.send(htmlContent);
+    let options;
+    try {
+      options = pdfService.normalizePdfOptions(pdfOptions);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid PDF options',
+        message: validationError.message
+      });
+    }
+
+    const selectedTemplate = await templateRegistry.resolveForUser(template, req.user.userId);
+    const pdfBuffer = await pdfService.generateResumePDF(resumeData, selectedTemplate, options, resumeTheme);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(resumeData.personalInfo.name, 'pdf')}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to generate preview',
+      error: 'Failed to export PDF',
       message: error.message 
     });
   }
 };
 
-// Save resume JSON to user's resumeDetails
+// Render posted resume data to a downloadable Word document
+exports.exportDOCX = async (req, res) => {
+  try {
+    const { template = 'resume-template', theme, ...submittedData } = req.body;
+
+    // Validate against the resume data schema (field-level errors, unknown keys dropped)
+    const { resumeData, errors } = ResumeDataSchema.validate(submittedData);
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors 
+      });
+    }
+
+    const { theme: resumeTheme, error: themeError } = ResumeTheme.normalize(theme);
+    if (themeError) {
+      return res.status(400).json({ 
+        error: 'Invalid theme',
+        message: themeError 
+      });
+    }
+
+    const selectedTemplate = await templateRegistry.resolveForUser(template, req.user.userId);
+    const docxBuffer = await docxService.generateResumeDOCX(resumeData, selectedTemplate, resumeTheme);
+
+    res.setHeader('Content-Type', DOCX_MIME_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(resumeData.personalInfo.name, 'docx')}"`);
+    res.setHeader('Content-Length', docxBuffer.length);
+    res.send(docxBuffer);
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to export DOCX',
+      message: error.message 
+    });
+  }
+};
+
+// Convert a JSON Resume (jsonresume.org) document into our resume data
+exports.importJsonResume = async (req, res) => {
+  try {
+    // Accept either { resume: {...} } or the JSON Resume document as the body
+    const jsonResume = req.body && req.body.resume ? req.body.resume : req.body;
+
+    const validationError = JsonResumeConverter.validate(jsonResume);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: 'Invalid JSON Resume',
+        message: validationError 
+      });
+    }
+
+    // Imported documents go through the same schema as data typed into the editor
+    const { resumeData, errors } = ResumeDataSchema.validate(JsonResumeConverter.fromJsonResume(jsonResume));
+    if (errors) {
+      return res.status(400).json({ 
+        error: 'Invalid JSON Resume',
+        message: 'Converted resume data failed validation',
+        errors 
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: resumeData
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to import JSON Resume',
+      message: error.message 
+    });
+  }
+};
+
+// Save resume JSON to the user's resume collection
 exports.saveResume = async (req, res) => {
   try {
     const userId = req.user.userId; // From auth middleware
-    const { resumeId, resumeName, template = 'resume-template', isDynamic = false, ...resumeData } = req.body;
+    const { resumeId, resumeName, template = 'resume-template', isDynamic = false, theme, ...submittedData } = req.body;
 
-    // Validate required fields
-    if (!resumeData.personalInfo || !resumeData.personalInfo.name) {
+    // Validate against the resume data schema (field-level errors, unknown keys dropped)
+    const { resumeData, errors } = ResumeDataSchema.validate(submittedData);
+    if (errors) {
       return res.status(400).json({ 
         error: 'Invalid resume data',
-        message: 'Personal info with name is required' 
+        message: 'Resume data failed validation',
+        errors 
       });
     }
 
@@ -170,76 +435,79 @@ exports.saveResume = async (req, res) => {
       });
     }
 
-    // Find user
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
+    const { theme: resumeTheme, error: themeError } = ResumeTheme.normalize(theme);
+    if (themeError) {
+      return res.status(400).json({ 
+        error: 'Invalid theme',
+        message: themeError 
       });
     }
 
     // Check if updating existing resume or creating new one
     if (resumeId) {
       // Update existing resume
-      const resumeIndex = user.resumeDetails.findIndex(r => r.resumeId === resumeId);
+      const existing = await Resume.findOne({ userId, resumeId });
       
-      if (resumeIndex === -1) {
+      if (!existing) {
         return res.status(404).json({
           success: false,
           message: 'Resume not found'
         });
       }
 
-      user.resumeDetails[resumeIndex] = {
-        resumeId,
-        resumeName: resumeName.trim(),
-        resumeData: { ...resumeData },
-        generatedDate: user.resumeDetails[resumeIndex].generatedDate, // Keep original date
-        templateName: template,
-        isDynamic: isDynamic // Store isDynamic flag
-      };
+      // Snapshot resumes saved before version history existed so the overwrite is recoverable
+      await ResumeVersionService.ensureBaseline(userId, existing);
 
-      await user.save();
+      existing.resumeName = resumeName.trim();
+      existing.resumeData = resumeData;
+      existing.schemaVersion = ResumeDataSchema.SCHEMA_VERSION;
+      existing.templateName = template;
+      existing.isDynamic = isDynamic; // Store isDynamic flag
+      existing.theme = resumeTheme;
+
+      await existing.save();
+      await recordResumeVersion(userId, existing);
 
       return res.status(200).json({
         success: true,
         message: 'Resume updated successfully',
         data: {
           resumeId,
-          resumeName: resumeName.trim(),
-          generatedDate: user.resumeDetails[resumeIndex].generatedDate,
+          resumeName: existing.resumeName,
+          generatedDate: existing.generatedDate, // Original date is kept
           templateName: template,
           isDynamic: isDynamic
         }
       });
     } else {
       // Create new resume with random ID
-      const crypto = require('crypto');
-      const newResumeId = `resume_${crypto.randomBytes(8).toString('hex')}_${Date.now()}`;
+      const newResumeId = generateResumeId();
 
-      // Add new resume to resumeDetails array
-      user.resumeDetails.push({
+      const resume = await Resume.create({
+        userId,
         resumeId: newResumeId,
         resumeName: resumeName.trim(),
-        resumeData: { ...resumeData },
+        resumeData,
+        schemaVersion: ResumeDataSchema.SCHEMA_VERSION,
         generatedDate: new Date(),
         templateName: template,
-        isDynamic: isDynamic // Store isDynamic flag
+        isDynamic: isDynamic, // Store isDynamic flag
+        theme: resumeTheme
       });
 
-      await user.save();
+      await recordResumeVersion(userId, resume);
+
+      const totalResumes = await Resume.countDocuments({ userId });
 
       return res.status(200).json({
         success: true,
         message: 'Resume saved successfully',
         data: {
           resumeId: newResumeId,
-          resumeName: resumeName.trim(),
-          totalResumes: user.resumeDetails.length,
-          generatedDate: user.resumeDetails[user.resumeDetails.length - 1].generatedDate,
-          templateName: user.resumeDetails[user.resumeDetails.length - 1].templateName,
+          resumeName: resume.resumeName,
+          totalResumes,
+          generatedDate: resume.generatedDate,
+          templateName: resume.templateName,
           isDynamic: isDynamic
         }
       });
@@ -252,42 +520,84 @@ exports.saveResume = async (req, res) => {
   }
 };
 
-// Get all saved resumes for a user
+// Get saved resumes for a user
+// Supports ?page=1&limit=20&sort=date|name&order=asc|desc&search=<resume name>
+// and filters ?tag=a,b (all must match), ?folder=<name> ("" for none), ?pinned=true|false
 exports.getSavedResumes = async (req, res) => {
   try {
     const userId = req.user.userId; // From auth middleware
 
-    const user = await User.findById(userId).select('resumeDetails');
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sortField = req.query.sort === 'name' ? 'resumeName' : 'updatedAt';
+    const defaultOrder = sortField === 'resumeName' ? 'asc' : 'desc';
+    const sortOrder = (req.query.order || defaultOrder) === 'asc' ? 1 : -1;
+
+    const filter = { userId };
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search) {
+      // Regex rather than $text: $text is not available under the strict Stable API
+      filter.resumeName = { $regex: escapeRegex(search), $options: 'i' };
+    }
+
+    if (typeof req.query.tag === 'string' && req.query.tag.trim()) {
+      filter.tags = { $all: req.query.tag.split(',').map(tag => tag.trim()).filter(Boolean) };
+    }
+
+    if (typeof req.query.folder === 'string') {
+      filter.folder = req.query.folder.trim();
+    }
+
+    if (req.query.pinned === 'true' || req.query.pinned === 'false') {
+      filter.isPinned = req.query.pinned === 'true';
     }
 
-    if (!user.resumeDetails || user.resumeDetails.length === 0) {
+    const [resumes, total] = await Promise.all([
+      Resume.find(filter)
+        .select('resumeId resumeName generatedDate templateName isDynamic updatedAt tags folder isPinned')
+        // Pinned (master) resumes always come first
+        .sort({ isPinned: -1, [sortField]: sortOrder, _id: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Resume.countDocuments(filter)
+    ]);
+
+    const pagination = {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    };
+
+    if (resumes.length === 0) {
       return res.status(200).json({
         success: true,
         message: 'N/A',
-        data: []
+        data: [],
+        pagination
       });
     }
 
     // Return resumes metadata
-    const resumeList = user.resumeDetails.map((resume, index) => ({
+    const resumeList = resumes.map((resume, index) => ({
       id: resume._id,
       resumeId: resume.resumeId,
       resumeName: resume.resumeName,
-      index: index,
+      index: (page - 1) * limit + index,
       generatedDate: resume.generatedDate,
+      updatedAt: resume.updatedAt,
       templateName: resume.templateName,
-      isDynamic: resume.isDynamic || false
+      isDynamic: resume.isDynamic || false,
+      tags: resume.tags || [],
+      folder: resume.folder || '',
+      isPinned: resume.isPinned || false
     }));
 
     res.status(200).json({
       success: true,
-      data: resumeList
+      data: resumeList,
+      pagination
     });
   } catch (error) {
     res.status(500).json({ 
@@ -303,16 +613,65 @@ exports.getResumeById = async (req, res) => {
     const userId = req.user.userId; // From auth middleware
     const { id } = req.params; // This is resumeId
 
-    const user = await User.findById(userId).select('resumeDetails');
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
     
-    if (!user) {
+    if (!resume) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Resume not found'
       });
     }
 
-    const resume = user.resumeDetails.find(r => r.resumeId === id);
+    res.status(200).json({
+      success: true,
+      data: {
+        resumeId: resume.resumeId,
+        resumeName: resume.resumeName,
+        resumeData: ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion),
+        schemaVersion: ResumeDataSchema.SCHEMA_VERSION,
+        languages: ResumeLanguageService.listVariants(resume),
+        templateName: resume.templateName,
+        generatedDate: resume.generatedDate,
+        theme: resume.theme || {},
+        tags: resume.tags || [],
+        folder: resume.folder || '',
+        isPinned: resume.isPinned || false
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to fetch resume',
+      message: error.message 
+    });
+  }
+};
+
+// Update resume name, tags, folder or pinned flag without resending the resume body
+exports.updateResumeMetadata = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const { error, update } = parseResumeMetadata(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid resume details',
+        message: error 
+      });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ 
+        error: 'Invalid resume details',
+        message: 'Provide at least one of resumeName, tags, folder or isPinned' 
+      });
+    }
+
+    const resume = await Resume.findOneAndUpdate(
+      { userId, resumeId: id },
+      { $set: update },
+      { new: true }
+    ).select('resumeId resumeName tags folder isPinned updatedAt').lean();
     
     if (!resume) {
       return res.status(404).json({
@@ -323,51 +682,276 @@ exports.getResumeById = async (req, res) => {
 
     res.status(200).json({
       success: true,
+      message: 'Resume updated successfully',
       data: {
         resumeId: resume.resumeId,
         resumeName: resume.resumeName,
-        resumeData: resume.resumeData,
-        templateName: resume.templateName,
-        generatedDate: resume.generatedDate
+        tags: resume.tags || [],
+        folder: resume.folder || '',
+        isPinned: resume.isPinned || false,
+        updatedAt: resume.updatedAt
       }
     });
   } catch (error) {
     res.status(500).json({ 
-      error: 'Failed to fetch resume',
+      error: 'Failed to update resume',
       message: error.message 
     });
   }
 };
 
-// Delete resume by resumeId
-exports.deleteResume = async (req, res) => {
+// Duplicate a saved resume so it can be tailored into a variant
+exports.cloneResume = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const { error, update } = parseResumeMetadata(req.body);
+    if (error) {
+      return res.status(400).json({ 
+        error: 'Invalid resume details',
+        message: error 
+      });
+    }
+
+    const source = await Resume.findOne({ userId, resumeId: id }).lean();
+    
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const clone = await Resume.create({
+      userId,
+      resumeId: generateResumeId(),
+      resumeName: update.resumeName || `${source.resumeName} (Copy)`,
+      resumeData: source.resumeData,
+      schemaVersion: source.schemaVersion,
+      languageVariants: source.languageVariants || [],
+      generatedDate: new Date(),
+      templateName: source.templateName,
+      isDynamic: source.isDynamic || false,
+      theme: source.theme || {},
+      tags: update.tags || source.tags || [],
+      folder: update.folder !== undefined ? update.folder : (source.folder || ''),
+      // Only one copy should start out as the pinned master
+      isPinned: update.isPinned || false
+    });
+
+    await recordResumeVersion(userId, clone);
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume cloned successfully',
+      data: {
+        resumeId: clone.resumeId,
+        resumeName: clone.resumeName,
+        clonedFrom: id,
+        generatedDate: clone.generatedDate,
+        templateName: clone.templateName,
+        isDynamic: clone.isDynamic,
+        tags: clone.tags,
+        folder: clone.folder,
+        isPinned: clone.isPinned
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to clone resume',
+      message: error.message 
+    });
+  }
+};
+
+// List the tags and folders a user has used, with resume counts
+exports.getResumeTags = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+
+    const resumes = await Resume.find({ userId }).select('tags folder').lean();
+
+    const tagCounts = {};
+    const folderCounts = {};
+    resumes.forEach(resume => {
+      (resume.tags || []).forEach(tag => {
+        tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+      });
+      if (resume.folder) {
+        folderCounts[resume.folder] = (folderCounts[resume.folder] || 0) + 1;
+      }
+    });
+
+    const toSortedList = (counts) => Object.keys(counts)
+      .sort((a, b) => a.localeCompare(b))
+      .map(name => ({ name, count: counts[name] }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tags: toSortedList(tagCounts),
+        folders: toSortedList(folderCounts)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to fetch resume tags',
+      message: error.message 
+    });
+  }
+};
+
+// Render a saved resume to a downloadable PDF
+exports.exportSavedResumePDF = async (req, res) => {
   try {
     const userId = req.user.userId; // From auth middleware
     const { id } = req.params; // This is resumeId
+    const { format, margin } = req.query;
+
+    let options;
+    try {
+      options = pdfService.normalizePdfOptions({ format, margin });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid PDF options',
+        message: validationError.message
+      });
+    }
 
-    const user = await User.findById(userId);
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
     
-    if (!user) {
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const template = req.query.template || resume.templateName;
+    // ?language=de exports a stored translation instead of the primary content
+    const resumeData = ResumeLanguageService.selectResumeData(resume, req.query.language);
+
+    if (!resumeData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language variant not found'
+      });
+    }
+
+    const selectedTemplate = await templateRegistry.resolveForUser(template, userId);
+    const pdfBuffer = await pdfService.generateResumePDF(resumeData, selectedTemplate, options, resume.theme);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(resume.resumeName, 'pdf')}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to export PDF',
+      message: error.message 
+    });
+  }
+};
+
+// Render a saved resume to a downloadable Word document
+exports.exportSavedResumeDOCX = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+    
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const template = req.query.template || resume.templateName;
+    // ?language=de exports a stored translation instead of the primary content
+    const resumeData = ResumeLanguageService.selectResumeData(resume, req.query.language);
+
+    if (!resumeData) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Language variant not found'
       });
     }
 
-    const resumeIndex = user.resumeDetails.findIndex(r => r.resumeId === id);
+    const selectedTemplate = await templateRegistry.resolveForUser(template, userId);
+    const docxBuffer = await docxService.generateResumeDOCX(resumeData, selectedTemplate, resume.theme);
+
+    res.setHeader('Content-Type', DOCX_MIME_TYPE);
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(resume.resumeName, 'docx')}"`);
+    res.setHeader('Content-Length', docxBuffer.length);
+    res.send(docxBuffer);
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to export DOCX',
+      message: error.message 
+    });
+  }
+};
+
+// Export a saved resume as a JSON Resume (jsonresume.org) document
+exports.exportSavedResumeJsonResume = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+    
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    // ?language=de exports a stored translation instead of the primary content
+    const resumeData = ResumeLanguageService.selectResumeData(resume, req.query.language);
+
+    if (!resumeData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language variant not found'
+      });
+    }
+
+    const jsonResume = JsonResumeConverter.toJsonResume(resumeData);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(resume.resumeName, 'json')}"`);
+    res.status(200).json(jsonResume);
+  } catch (error) {
+    res.status(500).json({ 
+      error: 'Failed to export JSON Resume',
+      message: error.message 
+    });
+  }
+};
+
+// Delete resume by resumeId
+exports.deleteResume = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const deletedResume = await Resume.findOneAndDelete({ userId, resumeId: id }).select('resumeName').lean();
     
-    if (resumeIndex === -1) {
+    if (!deletedResume) {
       return res.status(404).json({
         success: false,
         message: 'Resume not found'
       });
     }
 
-    // Remove the resume from array
-    const deletedResume = user.resumeDetails[resumeIndex];
-    user.resumeDetails.splice(resumeIndex, 1);
+    await ResumeVersionService.deleteVersions(userId, id);
+    await ResumeShareService.deleteSharesForResume(userId, id);
+    await portfolioService.deletePortfolioForResume(userId, id);
 
-    await user.save();
+    const remainingResumes = await Resume.countDocuments({ userId });
 
     res.status(200).json({
       success: true,
@@ -375,7 +959,7 @@ exports.deleteResume = async (req, res) => {
       data: {
         deletedResumeId: id,
         deletedResumeName: deletedResume.resumeName,
-        remainingResumes: user.resumeDetails.length
+        remainingResumes
       }
     });
   } catch (error) {
@@ -0,0 +1,242 @@
+const ResumeLanguageService = require('../../services/resumeLanguageService');
+const AIProviderFactory = require('../../services/ai/AIProviderFactory');
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+const ResumeLocale = require('../../utils/resumeLocale');
+
+const parseLanguage = (code) => {
+  const language = ResumeLocale.normalizeLanguage(code);
+
+  if (!language) {
+    return { error: `Language must be one of: ${Object.keys(ResumeLocale.LANGUAGES).join(', ')}` };
+  }
+
+  return { language };
+};
+
+// Languages resumes can be written or translated in
+exports.getLanguages = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: ResumeLocale.listLanguages()
+  });
+};
+
+// Primary language and translations of a saved resume
+exports.getResumeLanguages = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const resume = await Resume.findOne({ userId, resumeId: id })
+      .select('resumeData.language languageVariants.language languageVariants.source languageVariants.updatedAt')
+      .lean();
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        primaryLanguage: ResumeLanguageService.getPrimaryLanguage(resume),
+        variants: ResumeLanguageService.listVariants(resume)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch resume languages',
+      message: error.message
+    });
+  }
+};
+
+// Resume data of one language variant
+exports.getResumeLanguageVariant = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id, language: code } = req.params;
+
+    const { error, language } = parseLanguage(code);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: error
+      });
+    }
+
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+    const variant = resume && ResumeLanguageService.findVariant(resume, language);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: resume ? 'Language variant not found' : 'Resume not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        language: variant.language,
+        source: variant.source,
+        updatedAt: variant.updatedAt,
+        resumeData: ResumeDataSchema.upgrade(variant.resumeData, variant.schemaVersion),
+        schemaVersion: ResumeDataSchema.SCHEMA_VERSION
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch language variant',
+      message: error.message
+    });
+  }
+};
+
+// Create or replace a language variant with user-edited content
+exports.saveResumeLanguageVariant = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id, language: code } = req.params;
+
+    const { error, language } = parseLanguage(code);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: error
+      });
+    }
+
+    const { resumeData, errors } = ResumeDataSchema.validate({ ...req.body.resumeData, language });
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors
+      });
+    }
+
+    const variant = await ResumeLanguageService.saveVariant(userId, id, language, resumeData, 'manual');
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Language variant saved successfully',
+      data: variant
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to save language variant',
+      message: error.message
+    });
+  }
+};
+
+// Delete a language variant
+exports.deleteResumeLanguageVariant = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id, language: code } = req.params;
+
+    const { error, language } = parseLanguage(code);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: error
+      });
+    }
+
+    const deleted = await ResumeLanguageService.deleteVariant(userId, id, language);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language variant not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Language variant deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to delete language variant',
+      message: error.message
+    });
+  }
+};
+
+// Translate a saved resume's primary content with AI and store it as a language variant
+exports.translateResume = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const { error, language } = parseLanguage(req.body.language);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: error
+      });
+    }
+
+    if (!AIProviderFactory.hasConfiguredProvider()) {
+      return res.status(503).json({
+        error: 'Translation unavailable',
+        message: 'No AI provider is configured'
+      });
+    }
+
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    if (language === ResumeLanguageService.getPrimaryLanguage(resume)) {
+      return res.status(400).json({
+        error: 'Invalid language',
+        message: 'The resume is already written in this language'
+      });
+    }
+
+    const sourceData = ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion);
+    const translated = await ResumeLanguageService.translate(sourceData, language);
+
+    // AI output goes through the same validation as user input
+    const { resumeData, errors } = ResumeDataSchema.validate(translated);
+    if (errors) {
+      return res.status(502).json({
+        error: 'Translation failed',
+        message: 'The AI provider returned content that failed validation',
+        errors
+      });
+    }
+
+    const variant = await ResumeLanguageService.saveVariant(userId, id, language, resumeData, 'ai');
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume translated successfully',
+      data: variant
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to translate resume',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,88 @@
+const markdownService = require('../../services/markdownService');
+const latexService = require('../../services/latexService');
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+const ResumeLanguageService = require('../../services/resumeLanguageService');
+const ExportFilename = require('../../utils/exportFilename');
+
+const FORMATS = {
+  markdown: {
+    render: resumeData => markdownService.generateMarkdown(resumeData),
+    contentType: 'text/markdown; charset=utf-8',
+    extension: 'md',
+    label: 'Markdown'
+  },
+  latex: {
+    render: resumeData => latexService.generateLatex(resumeData),
+    contentType: 'application/x-tex; charset=utf-8',
+    extension: 'tex',
+    label: 'LaTeX'
+  }
+};
+
+const sendDocument = (res, format, resumeData, name) => {
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${ExportFilename.build(name, format.extension)}"`);
+  res.send(format.render(resumeData));
+};
+
+// Export handler for posted resume data (template/theme keys are dropped as unknown)
+const exportPosted = (format) => async (req, res) => {
+  try {
+    const { resumeData, errors } = ResumeDataSchema.validate(req.body);
+
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid resume data',
+        message: 'Resume data failed validation',
+        errors
+      });
+    }
+
+    sendDocument(res, format, resumeData, resumeData.personalInfo.name);
+  } catch (error) {
+    res.status(500).json({
+      error: `Failed to export ${format.label}`,
+      message: error.message
+    });
+  }
+};
+
+// Export handler for a saved resume
+const exportSaved = (format) => async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const resume = await Resume.findOne({ userId, resumeId: id }).lean();
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    // ?language=de exports a stored translation instead of the primary content
+    const resumeData = ResumeLanguageService.selectResumeData(resume, req.query.language);
+
+    if (!resumeData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Language variant not found'
+      });
+    }
+
+    sendDocument(res, format, resumeData, resume.resumeName);
+  } catch (error) {
+    res.status(500).json({
+      error: `Failed to export ${format.label}`,
+      message: error.message
+    });
+  }
+};
+
+exports.exportMarkdown = exportPosted(FORMATS.markdown);
+exports.exportLatex = exportPosted(FORMATS.latex);
+exports.exportSavedResumeMarkdown = exportSaved(FORMATS.markdown);
+exports.exportSavedResumeLatex = exportSaved(FORMATS.latex);
@@ -0,0 +1,183 @@
+const { escapeExpression } = require('handlebars');
+const pdfService = require('../../services/pdfService');
+const templateRegistry = require('../../services/templateRegistry');
+const CustomTemplateService = require('../../services/customTemplateService');
+const ResumeShareService = require('../../services/resumeShareService');
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeDataSchema = require('../../utils/resumeDataSchema');
+
+// Path the public router is mounted on (see server.js)
+const PUBLIC_SHARE_PATH = '/skill-mint/public/r';
+
+const getShareBaseUrl = (req) =>
+  process.env.PUBLIC_SHARE_BASE_URL || `${req.protocol}://${req.get('host')}${PUBLIC_SHARE_PATH}`;
+
+// Minimal standalone page for public link errors and the password prompt
+const renderMessagePage = (title, message, { showPasswordForm = false } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="robots" content="noindex">
+  <title>${escapeExpression(title)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; background: #f5f5f5; color: #333; display: flex; justify-content: center; padding-top: 80px; }
+    .card { background: #fff; padding: 32px 40px; border-radius: 8px; box-shadow: 0 2px 8px rgba(0,0,0,0.1); max-width: 380px; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    input, button { font-size: 14px; padding: 8px 10px; margin-top: 12px; width: 100%; box-sizing: border-box; }
+    button { background: #2c5f7c; color: #fff; border: none; border-radius: 4px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${escapeExpression(title)}</h1>
+    <p>${escapeExpression(message)}</p>
+    ${showPasswordForm ? `<form method="POST">
+      <input type="password" name="password" placeholder="Password" required autofocus>
+      <button type="submit">View resume</button>
+    </form>` : ''}
+  </div>
+</body>
+</html>`;
+
+// Create a public link for a saved resume
+exports.createShare = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const { error, options } = ResumeShareService.parseShareOptions(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid share options',
+        message: error
+      });
+    }
+
+    const resume = await Resume.exists({ userId, resumeId: id });
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const share = await ResumeShareService.createShare(userId, id, options);
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created successfully',
+      data: ResumeShareService.toOwnerView(share.toObject(), getShareBaseUrl(req))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to create share link',
+      message: error.message
+    });
+  }
+};
+
+// List share links of a resume together with their view analytics
+exports.getShares = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const shares = await ResumeShareService.listShares(userId, id);
+    const baseUrl = getShareBaseUrl(req);
+
+    res.status(200).json({
+      success: true,
+      data: shares.map(share => ResumeShareService.toOwnerView(share, baseUrl))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch share links',
+      message: error.message
+    });
+  }
+};
+
+// Revoke a share link
+exports.revokeShare = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id, slug } = req.params;
+
+    const share = await ResumeShareService.revokeShare(userId, id, slug);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share link not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Share link revoked successfully',
+      data: ResumeShareService.toOwnerView(share, getShareBaseUrl(req))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to revoke share link',
+      message: error.message
+    });
+  }
+};
+
+// Public: render a shared resume (GET, or POST with a password form field)
+exports.viewSharedResume = async (req, res) => {
+  try {
+    res.setHeader('X-Robots-Tag', 'noindex');
+
+    const share = await ResumeShareService.findBySlug(req.params.slug);
+
+    if (!share || share.isRevoked) {
+      return res.status(404).send(renderMessagePage('Link not available', 'This resume link does not exist or has been revoked.'));
+    }
+
+    if (ResumeShareService.isExpired(share)) {
+      return res.status(410).send(renderMessagePage('Link expired', 'This resume link has expired.'));
+    }
+
+    if (share.passwordHash) {
+      // Only the form POST is rate limited per link (see routes/publicRoutes.js), so
+      // a password sent in the body of a GET is ignored
+      const password = req.method === 'POST' && req.body ? req.body.password : undefined;
+
+      if (!ResumeShareService.verifyPassword(share, password)) {
+        const message = password
+          ? 'Incorrect password. Please try again.'
+          : 'This resume is password protected.';
+        return res.status(401).send(renderMessagePage('Password required', message, { showPasswordForm: true }));
+      }
+    }
+
+    const resume = await Resume.findOne({ userId: share.userId, resumeId: share.resumeId }).lean();
+
+    if (!resume) {
+      return res.status(404).send(renderMessagePage('Link not available', 'This resume is no longer available.'));
+    }
+
+    // Custom templates are resolved for the resume's owner, not the visitor
+    const template = await templateRegistry.resolveForUser(resume.templateName, resume.userId);
+    const resumeData = ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion);
+    const htmlContent = await pdfService.generateResumeHTML(resumeData, template, resume.theme);
+
+    await ResumeShareService.recordView(share._id, {
+      referrer: req.get('Referer') || '',
+      userAgent: req.get('User-Agent') || ''
+    });
+
+    res.setHeader('Content-Type', 'text/html');
+    if (template.isCustom) {
+      // Same policy as the <meta> in the document, enforced by visitors' browsers from the first byte
+      res.setHeader('Content-Security-Policy', CustomTemplateService.CONTENT_SECURITY_POLICY);
+    }
+    res.send(htmlContent);
+  } catch (error) {
+    res.status(500).send(renderMessagePage('Something went wrong', 'Failed to load this resume. Please try again later.'));
+  }
+};
@@ -0,0 +1,200 @@
+const Resume = require('../../models/schemas/resumeSchema');
+const ResumeVersionService = require('../../services/resumeVersionService');
+
+// Parse a version number from the request, returns null when invalid
+const parseVersion = (value) => {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+// List all stored versions of a resume (metadata only)
+exports.getResumeVersions = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+
+    const versions = await ResumeVersionService.listVersions(userId, id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resumeId: id,
+        versionLimit: ResumeVersionService.getVersionLimit(),
+        versions: versions.map(v => ({
+          version: v.version,
+          resumeName: v.resumeName,
+          templateName: v.templateName,
+          isDynamic: v.isDynamic || false,
+          restoredFrom: v.restoredFrom || null,
+          createdAt: v.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch resume versions',
+      message: error.message
+    });
+  }
+};
+
+// Get the full content of one version
+exports.getResumeVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const snapshot = await ResumeVersionService.getVersion(userId, id, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resumeId: snapshot.resumeId,
+        version: snapshot.version,
+        resumeName: snapshot.resumeName,
+        resumeData: snapshot.resumeData,
+        templateName: snapshot.templateName,
+        theme: snapshot.theme || {},
+        isDynamic: snapshot.isDynamic || false,
+        restoredFrom: snapshot.restoredFrom || null,
+        createdAt: snapshot.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch resume version',
+      message: error.message
+    });
+  }
+};
+
+// Field-level diff between two versions (?from=1&to=3, "to" defaults to the latest)
+exports.diffResumeVersions = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+    const from = parseVersion(req.query.from);
+    let to = req.query.to !== undefined ? parseVersion(req.query.to) : undefined;
+
+    if (!from || to === null) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Query parameters "from" (and optional "to") must be positive integers'
+      });
+    }
+
+    if (to === undefined) {
+      const [latest] = await ResumeVersionService.listVersions(userId, id);
+      to = latest ? latest.version : from;
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      ResumeVersionService.getVersion(userId, id, from),
+      ResumeVersionService.getVersion(userId, id, to)
+    ]);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resumeId: id,
+        from,
+        to,
+        changes: ResumeVersionService.diffVersions(fromVersion, toVersion)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to diff resume versions',
+      message: error.message
+    });
+  }
+};
+
+// Make an older version the current resume content
+exports.restoreResumeVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId; // From auth middleware
+    const { id } = req.params; // This is resumeId
+    const version = parseVersion(req.params.version);
+
+    if (!version) {
+      return res.status(400).json({
+        error: 'Invalid version',
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const resume = await Resume.findOne({ userId, resumeId: id });
+
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found'
+      });
+    }
+
+    const snapshot = await ResumeVersionService.getVersion(userId, id, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume version not found'
+      });
+    }
+
+    await ResumeVersionService.ensureBaseline(userId, resume);
+
+    resume.resumeName = snapshot.resumeName;
+    resume.resumeData = snapshot.resumeData;
+    resume.schemaVersion = snapshot.schemaVersion;
+    resume.templateName = snapshot.templateName;
+    resume.isDynamic = snapshot.isDynamic || false;
+    resume.theme = snapshot.theme || {};
+
+    await resume.save();
+
+    // Restoring is itself a new version, so it can be undone
+    const restored = await ResumeVersionService.recordVersion(userId, resume, {
+      restoredFrom: version
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Resume version restored successfully',
+      data: {
+        resumeId: id,
+        resumeName: snapshot.resumeName,
+        templateName: snapshot.templateName,
+        restoredFrom: version,
+        version: restored.version
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to restore resume version',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,52 @@
+const templateRegistry = require('../../services/templateRegistry');
+const templateThumbnailService = require('../../services/templateThumbnailService');
+const HttpCache = require('../../utils/httpCache');
+
+// Thumbnails only change when templates are deployed
+const THUMBNAIL_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// List available resume templates with their manifest metadata
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await templateRegistry.getTemplates();
+
+    res.status(200).json({
+      success: true,
+      data: templates.map(template => ({
+        ...templateRegistry.toPublicView(template),
+        thumbnailUrl: `${req.baseUrl}/templates/${template.name}/thumbnail`
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to fetch templates',
+      message: error.message
+    });
+  }
+};
+
+// PNG preview of a template rendered with sample data
+exports.getTemplateThumbnail = async (req, res) => {
+  try {
+    const image = await templateThumbnailService.getThumbnail(req.params.name);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    // Thumbnails are requested by <img> tags on the frontend origin
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Length', image.length);
+    HttpCache.setPublic(res, THUMBNAIL_MAX_AGE_SECONDS);
+    res.send(image);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to generate template thumbnail',
+      message: error.message
+    });
+  }
+};
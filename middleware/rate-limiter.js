@@ -1,4 +1,5 @@
 const rateLimit = require("express-rate-limit");
+const { ipKeyGenerator } = rateLimit;
 
 const normalLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -24,4 +25,43 @@ const strictLimiter = rateLimit({
   legacyHeaders: false
 });
 
-module.exports = { normalLimiter, strictLimiter };
\ No newline at end of file
+// Public read-only pages, images and listings (template gallery, portfolio sites);
+// a single page view loads several of them, so these are exempt from normalLimiter (see server.js)
+const publicReadLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: {
+    status: "error",
+    code: "TOO_MANY_REQUESTS",
+    message: "Too many requests. Please wait a moment and try again."
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Parse job status polling, roughly once a second per client; exempt from normalLimiter (see server.js)
+const pollLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: {
+    status: "error",
+    code: "TOO_MANY_REQUESTS",
+    message: "Polling too fast. Please check the job status at most once per second."
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Wrong passwords for one shared resume link, counted per visitor address so that
+// someone guessing cannot lock everyone else out of the link; correct passwords are not counted
+const sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: (req) => `share:${req.params.slug}:${ipKeyGenerator(req.ip)}`,
+  skipSuccessfulRequests: true,
+  message: "Too many password attempts for this link. Please try again in 15 minutes.",
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = { normalLimiter, strictLimiter, publicReadLimiter, pollLimiter, sharePasswordLimiter };
\ No newline at end of file
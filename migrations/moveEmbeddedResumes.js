@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Resume = require('../models/schemas/resumeSchema');
+
+// Unique index Mongoose created for the old embedded resumeDetails.resumeId path
+const LEGACY_INDEX = 'resumeDetails.resumeId_1';
+
+/**
+ * One-time migration: move resumes embedded in users.resumeDetails into the
+ * resumes collection. Safe to run repeatedly - only users that still carry an
+ * embedded array are touched, and inserts are keyed by resumeId.
+ * @returns {Promise<{ users: number, resumes: number }>} - Migration counts
+ */
+async function moveEmbeddedResumes() {
+  const users = mongoose.connection.collection('users');
+
+  // With resumeDetails unset, users no longer index a unique resumeId value
+  try {
+    await users.dropIndex(LEGACY_INDEX);
+  } catch (error) {
+    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') {
+      throw error;
+    }
+  }
+
+  const cursor = users.find(
+    { 'resumeDetails.0': { $exists: true } },
+    { projection: { resumeDetails: 1 } }
+  );
+
+  let migratedUsers = 0;
+  let migratedResumes = 0;
+
+  for await (const user of cursor) {
+    const operations = user.resumeDetails
+      .filter(resume => resume && resume.resumeId)
+      .map(resume => ({
+        updateOne: {
+          filter: { resumeId: resume.resumeId },
+          update: {
+            $setOnInsert: {
+              userId: user._id,
+              resumeId: resume.resumeId,
+              resumeName: resume.resumeName || 'Untitled Resume',
+              resumeData: resume.resumeData || {},
+              generatedDate: resume.generatedDate || new Date(),
+              templateName: resume.templateName || 'resume-template',
+              isDynamic: resume.isDynamic || false,
+              createdAt: resume.generatedDate || new Date(),
+              updatedAt: resume.generatedDate || new Date()
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length > 0) {
+      // Bypass Mongoose timestamps so the original dates are kept
+      await Resume.collection.bulkWrite(operations, { ordered: false });
+      migratedResumes += operations.length;
+    }
+
+    await users.updateOne({ _id: user._id }, { $unset: { resumeDetails: '' } });
+    migratedUsers++;
+  }
+
+  return { users: migratedUsers, resumes: migratedResumes };
+}
+
+module.exports = moveEmbeddedResumes;
+
@@ -61,6 +61,18 @@ class MongooseConnection {
     } catch (error) {
       console.error('Error initializing database:', error);
     }
+
+    try {
+      const moveEmbeddedResumes = require('../migrations/moveEmbeddedResumes');
+
+      const result = await moveEmbeddedResumes();
+
+      if (result.users > 0) {
+        console.log(`Moved ${result.resumes} embedded resumes from ${result.users} users`);
+      }
+    } catch (error) {
+      console.error('Error migrating embedded resumes:', error);
+    }
   }
 
   async disconnect() {
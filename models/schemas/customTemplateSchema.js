@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// User-uploaded Handlebars resume template; shared templates can be used by every user
+const customTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  templateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  css: {
+    type: String,
+    default: ''
+  },
+  columns: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+  sidebarSections: {
+    type: [String],
+    default: []
+  },
+  isShared: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+customTemplateSchema.index({ userId: 1, updatedAt: -1 });
+customTemplateSchema.index({ isShared: 1 });
+
+module.exports = mongoose.model('CustomTemplate', customTemplateSchema);
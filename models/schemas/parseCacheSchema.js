@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Parse result of an uploaded file, reused when the same user uploads the same bytes again.
+// Scoped per user since results contain the resume's personal data.
+const parseCacheSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // "<sha256 of the file>:<requested parser>:<parser version>" (see services/parseCacheService)
+  cacheKey: {
+    type: String,
+    required: true
+  },
+  fileHash: {
+    type: String,
+    required: true
+  },
+  parser: {
+    type: String,
+    required: true
+  },
+  parserVersion: {
+    type: String,
+    required: true
+  },
+  fileType: {
+    type: String
+  },
+  // { resumeData, parsedWith, provenance } from geminiService.parseResume
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+parseCacheSchema.index({ userId: 1, cacheKey: 1 }, { unique: true });
+parseCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ParseCache', parseCacheSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Lookup counters of the parse cache, shared by every server process and kept across
+// restarts. A single document, updated with $inc (see services/parseCacheService).
+const parseCacheStatsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  misses: {
+    type: Number,
+    default: 0
+  },
+  stores: {
+    type: Number,
+    default: 0
+  },
+  // When counting started (the first lookup)
+  since: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ParseCacheStats', parseCacheStatsSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Uploaded resume waiting for or going through text extraction and AI parsing.
+// The queue lives in this collection so queued and interrupted jobs survive restarts.
+const parseJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'dynamic' results carry entry ids for the dynamic resume editor
+  mode: {
+    type: String,
+    enum: ['standard', 'dynamic'],
+    default: 'standard'
+  },
+  // Requested parser (see geminiService.PARSERS) and the one that produced the result
+  parser: {
+    type: String,
+    enum: ['auto', 'ai', 'heuristic'],
+    default: 'auto'
+  },
+  parsedWith: {
+    type: String,
+    enum: ['ai', 'heuristic']
+  },
+  // Why AI parsing failed when the heuristic parser was used instead
+  fallbackReason: {
+    type: String
+  },
+  fileType: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  // Parse cache entry the result is stored under (see services/parseCacheService)
+  cacheKey: {
+    type: String
+  },
+  // Completed from the parse cache without running the worker
+  cached: {
+    type: Boolean,
+    default: false
+  },
+  // Uploaded file; removed once the job has finished
+  file: {
+    type: Buffer
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: ['queued', 'extracting', 'ocr', 'ai_parsing', 'done'],
+    default: 'queued'
+  },
+  // OCR page progress, e.g. { current: 2, total: 5 }
+  progress: {
+    current: { type: Number },
+    total: { type: Number }
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Per-field confidence and source spans for the result, keyed by field path
+  // (e.g. "experience[0].title"; entry order is the same in both modes), plus the
+  // extracted text the spans index into. See utils/resumeProvenance
+  provenance: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker holding the job; a lock not refreshed for a while is taken over by another worker
+  workerId: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+parseJobSchema.index({ status: 1, createdAt: 1 });
+parseJobSchema.index({ userId: 1, status: 1 });
+parseJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ParseJob', parseJobSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Published portfolio site of a saved resume; pages are rendered from the current resume on each visit
+const portfolioSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resumeId: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+portfolioSchema.index({ userId: 1, resumeId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
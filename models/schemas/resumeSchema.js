@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const resumeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resumeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  resumeName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Resume JSON; sectionOrder, hiddenSections and customSections control layout (see utils/resumeSections)
+  resumeData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Version of the resumeData schema (see utils/resumeDataSchema); missing on legacy resumes
+  schemaVersion: {
+    type: Number
+  },
+  // Translations of resumeData, one per language (see services/resumeLanguageService)
+  languageVariants: [{
+    _id: false,
+    language: {
+      type: String,
+      required: true
+    },
+    resumeData: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    schemaVersion: {
+      type: Number
+    },
+    // 'ai' for machine translations, 'manual' once the user has edited them
+    source: {
+      type: String,
+      enum: ['ai', 'manual'],
+      default: 'manual'
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  generatedDate: {
+    type: Date,
+    default: Date.now
+  },
+  templateName: {
+    type: String,
+    default: 'resume-template'
+  },
+  // Colours, font and spacing overrides (see utils/resumeTheme)
+  theme: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isDynamic: {
+    type: Boolean,
+    default: false
+  },
+  // User-defined organisation
+  tags: {
+    type: [String],
+    default: []
+  },
+  folder: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Pinned/master resumes are listed first
+  isPinned: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Listing a user's resumes, newest first or by name
+resumeSchema.index({ userId: 1, updatedAt: -1 });
+resumeSchema.index({ userId: 1, resumeName: 1 });
+resumeSchema.index({ userId: 1, tags: 1 });
+
+module.exports = mongoose.model('Resume', resumeSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const resumeShareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resumeId: {
+    type: String,
+    required: true
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date
+  },
+  passwordHash: {
+    type: String
+  },
+  passwordSalt: {
+    type: String
+  },
+  isRevoked: {
+    type: Boolean,
+    default: false
+  },
+  revokedAt: {
+    type: Date
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  },
+  // Most recent views only; viewCount keeps the full total
+  views: [{
+    viewedAt: {
+      type: Date,
+      default: Date.now
+    },
+    referrer: {
+      type: String,
+      default: ''
+    },
+    userAgent: {
+      type: String,
+      default: ''
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+resumeShareSchema.index({ userId: 1, resumeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ResumeShare', resumeShareSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const resumeVersionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resumeId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  resumeName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  resumeData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  schemaVersion: {
+    type: Number
+  },
+  templateName: {
+    type: String,
+    default: 'resume-template'
+  },
+  // Colours, font and spacing overrides (see utils/resumeTheme)
+  theme: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isDynamic: {
+    type: Boolean,
+    default: false
+  },
+  // Version number this snapshot was restored from, if any
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+resumeVersionSchema.index({ userId: 1, resumeId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ResumeVersion', resumeVersionSchema);
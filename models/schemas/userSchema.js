@@ -87,35 +87,7 @@ const userSchema = new mongoose.Schema({
       default: 'N/A',
       trim: true
     }
-  },
-  resumeDetails: [{
-    resumeId: {
-      type: String,
-      required: true,
-      unique: true
-    },
-    resumeName: {
-      type: String,
-      required: true,
-      trim: true
-    },
-    resumeData: {
-      type: mongoose.Schema.Types.Mixed,
-      required: true
-    },
-    generatedDate: {
-      type: Date,
-      default: Date.now
-    },
-    templateName: {
-      type: String,
-      default: 'resume-template'
-    },
-    isDynamic: {
-      type: Boolean,
-      default: false
-    }
-  }]
+  }
 }, {
   timestamps: true
 });
@@ -7,5 +7,7 @@ const authMiddleware = require('../middleware/authMiddleware');
 router.get('/users', authMiddleware, AdminController.getAllUsers);
 router.get('/contact-messages', authMiddleware, AdminController.getAllContactMessages);
 router.put('/contact-messages/:messageId/status', authMiddleware, AdminController.updateContactMessageStatus);
+router.get('/parse-cache/stats', authMiddleware, AdminController.getParseCacheStats);
+router.delete('/parse-cache', authMiddleware, AdminController.purgeParseCache);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const resumeShareController = require('../controllers/resume/resumeShareController');
+const portfolioController = require('../controllers/resume/portfolioController');
+const { publicReadLimiter, sharePasswordLimiter } = require('../middleware/rate-limiter');
+
+// Public shared resume links - no authentication, optional password via form POST
+router.get('/r/:slug', resumeShareController.viewSharedResume);
+router.post('/r/:slug', sharePasswordLimiter, resumeShareController.viewSharedResume);
+
+// Published portfolio sites - pages and stylesheet, no authentication
+router.get('/p/:slug', publicReadLimiter, portfolioController.viewPortfolio);
+router.get('/p/:slug/*', publicReadLimiter, portfolioController.viewPortfolio);
+
+module.exports = router;
@@ -1,11 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require("path");
 const resumeController = require('../controllers/resume/resumeController');
 const aiAnalysisController = require('../controllers/resume/aiAnalysisController');
+const resumeVersionController = require('../controllers/resume/resumeVersionController');
+const resumeShareController = require('../controllers/resume/resumeShareController');
+const templateController = require('../controllers/resume/templateController');
+const customTemplateController = require('../controllers/resume/customTemplateController');
+const resumeAtsController = require('../controllers/resume/resumeAtsController');
+const resumeMarkupController = require('../controllers/resume/resumeMarkupController');
+const portfolioController = require('../controllers/resume/portfolioController');
+const resumeLanguageController = require('../controllers/resume/resumeLanguageController');
+const parseJobController = require('../controllers/resume/parseJobController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { strictLimiter } = require('../middleware/rate-limiter');
+const { strictLimiter, publicReadLimiter, pollLimiter } = require('../middleware/rate-limiter');
+const ResumeFileType = require('../utils/resumeFileType');
 
 function sanitizeFilename(originalName) {
   return originalName.replace(/[^a-zA-Z0-9.\-_]/g, "_");
@@ -13,22 +22,14 @@ function sanitizeFilename(originalName) {
 
 const storage = multer.memoryStorage();
 
+// PDF, DOCX, PNG and JPEG resumes; the controllers identify the format from the
+// file's leading bytes (utils/resumeFileType), so extension and mimetype are not checked here
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 1 * 1024 * 1024
+    fileSize: ResumeFileType.MAX_UPLOAD_SIZE
   },
   fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    const mime = file.mimetype;
-
-    if (ext !== ".pdf") {
-      return cb(new Error("File extension must be .pdf"));
-    }
-
-    if (mime !== "application/pdf") {
-      return cb(new Error("Invalid PDF mime-type. Only PDF allowed."));
-    }
     file.originalname = sanitizeFilename(file.originalname);
 
     cb(null, true);
@@ -36,27 +37,122 @@ const upload = multer({
 });
 
 
+// Resume upload (the form field is named "pdf" for all formats); responds 202 with a parse job.
+// Optional "parser" field: auto (default, AI with heuristic fallback), ai or heuristic
 router.post('/upload', authMiddleware, strictLimiter, upload.single('pdf'), resumeController.uploadAndParsePDF);
 
 // New endpoint for dynamic resume builder upload
 router.post('/upload-dynamic', authMiddleware, strictLimiter, upload.single('pdf'), resumeController.uploadAndParseDynamicPDF);
 
+// Parse job status/stage/result polling and cancellation
+router.get('/parse-jobs/:id', authMiddleware, pollLimiter, parseJobController.getParseJob);
+router.post('/parse-jobs/:id/cancel', authMiddleware, parseJobController.cancelParseJob);
+
+// User-uploaded templates: upload, list own and shared, fetch, update/share, delete
+// (registered before /templates/:name/thumbnail so "custom" is not taken as a template name)
+router.post('/templates/custom', authMiddleware, strictLimiter, customTemplateController.createCustomTemplate);
+router.get('/templates/custom', authMiddleware, customTemplateController.getCustomTemplates);
+router.get('/templates/custom/:templateId', authMiddleware, customTemplateController.getCustomTemplate);
+router.put('/templates/custom/:templateId', authMiddleware, customTemplateController.updateCustomTemplate);
+router.delete('/templates/custom/:templateId', authMiddleware, customTemplateController.deleteCustomTemplate);
+
+// Template catalogue and thumbnails (public, used by <img> tags; exempt from the global limiter)
+router.get('/templates', publicReadLimiter, templateController.getTemplates);
+router.get('/templates/:name/thumbnail', publicReadLimiter, templateController.getTemplateThumbnail);
+
+// Languages resumes can be written or translated in
+router.get('/languages', authMiddleware, resumeLanguageController.getLanguages);
+
 // Preview HTML (for frontend preview before PDF generation)
 router.post('/preview', authMiddleware, resumeController.generatePreview);
 
+// Page count / overflow estimate for a preview, with optional fit-to-N-pages; fitting renders
+// the resume up to 25 times in Puppeteer, so this shares the upload/translate limit
+router.post('/preview/layout', authMiddleware, strictLimiter, resumeController.getPreviewLayout);
+
+// Render posted resume data to a real PDF (A4/Letter, custom margins)
+router.post('/export/pdf', authMiddleware, resumeController.exportPDF);
+
+// Render posted resume data to a Word document
+router.post('/export/docx', authMiddleware, resumeController.exportDOCX);
+
+// Plain text and single-column ATS-safe HTML exports
+router.post('/export/text', authMiddleware, resumeAtsController.exportPlainText);
+router.post('/export/ats-html', authMiddleware, resumeAtsController.exportAtsHTML);
+
+// Markdown and LaTeX (moderncv) source exports
+router.post('/export/markdown', authMiddleware, resumeMarkupController.exportMarkdown);
+router.post('/export/latex', authMiddleware, resumeMarkupController.exportLatex);
+
+// Convert a JSON Resume (jsonresume.org) document into resume data
+router.post('/import/json-resume', authMiddleware, resumeController.importJsonResume);
+
 // Save resume HTML to database
 router.post('/save', authMiddleware, resumeController.saveResume);
 
 // Get all saved resumes (metadata only)
 router.get('/saved', authMiddleware, resumeController.getSavedResumes);
 
+// Tags and folders in use (must be registered before /saved/:id)
+router.get('/saved/tags', authMiddleware, resumeController.getResumeTags);
+
+// Rename, tag, move to folder or pin without resending the resume body
+router.patch('/saved/:id', authMiddleware, resumeController.updateResumeMetadata);
+
+// Duplicate a saved resume
+router.post('/saved/:id/clone', authMiddleware, resumeController.cloneResume);
+
 // Delete resume by ID
 router.delete('/saved/:id', authMiddleware, resumeController.deleteResume);
 
+// Export a saved resume as PDF (?format=A4|Letter&margin=0.5in&template=...&language=de)
+router.get('/saved/:id/pdf', authMiddleware, resumeController.exportSavedResumePDF);
+
+// Export a saved resume as DOCX (?template=... to override the saved layout, ?language=de for a translation)
+router.get('/saved/:id/docx', authMiddleware, resumeController.exportSavedResumeDOCX);
+
+// Export a saved resume in JSON Resume format (?language=de for a translation)
+router.get('/saved/:id/json-resume', authMiddleware, resumeController.exportSavedResumeJsonResume);
+
+// Export a saved resume as plain text or ATS-safe HTML (?language=de for a translation)
+router.get('/saved/:id/text', authMiddleware, resumeAtsController.exportSavedResumePlainText);
+router.get('/saved/:id/ats-html', authMiddleware, resumeAtsController.exportSavedResumeAtsHTML);
+
+// Export a saved resume as Markdown or LaTeX source (?language=de for a translation)
+router.get('/saved/:id/markdown', authMiddleware, resumeMarkupController.exportSavedResumeMarkdown);
+router.get('/saved/:id/latex', authMiddleware, resumeMarkupController.exportSavedResumeLatex);
+
+// Version history: list, field-level diff (?from=&to=), fetch and restore
+router.get('/saved/:id/versions', authMiddleware, resumeVersionController.getResumeVersions);
+router.get('/saved/:id/versions/diff', authMiddleware, resumeVersionController.diffResumeVersions);
+router.get('/saved/:id/versions/:version', authMiddleware, resumeVersionController.getResumeVersion);
+router.post('/saved/:id/versions/:version/restore', authMiddleware, resumeVersionController.restoreResumeVersion);
+
+// Public share links: create (expiry/password optional), list with view analytics, revoke
+router.post('/saved/:id/shares', authMiddleware, resumeShareController.createShare);
+router.get('/saved/:id/shares', authMiddleware, resumeShareController.getShares);
+router.delete('/saved/:id/shares/:slug', authMiddleware, resumeShareController.revokeShare);
+
+// Portfolio website: download as ZIP, publish under a public slug, status, unpublish
+router.get('/saved/:id/portfolio', authMiddleware, portfolioController.downloadPortfolio);
+router.put('/saved/:id/portfolio/publish', authMiddleware, portfolioController.publishPortfolio);
+router.get('/saved/:id/portfolio/publish', authMiddleware, portfolioController.getPublishedPortfolio);
+router.delete('/saved/:id/portfolio/publish', authMiddleware, portfolioController.unpublishPortfolio);
+
+// Language variants: list, fetch, save edits, delete, and AI translation of the primary content
+router.get('/saved/:id/languages', authMiddleware, resumeLanguageController.getResumeLanguages);
+router.get('/saved/:id/languages/:language', authMiddleware, resumeLanguageController.getResumeLanguageVariant);
+router.put('/saved/:id/languages/:language', authMiddleware, resumeLanguageController.saveResumeLanguageVariant);
+router.delete('/saved/:id/languages/:language', authMiddleware, resumeLanguageController.deleteResumeLanguageVariant);
+router.post('/saved/:id/translate', authMiddleware, strictLimiter, resumeLanguageController.translateResume);
+
 // Get specific resume HTML by ID
 router.get('/saved/:id', authMiddleware, resumeController.getResumeById);
 
-// AI Analysis endpoint
+// AI Analysis endpoint (falls back to the rule-based score when the AI provider fails)
 router.post('/analyze', authMiddleware, aiAnalysisController.analyzeResume);
 
+// Rule-based completeness and quality score, without AI
+router.post('/analyze/score', authMiddleware, aiAnalysisController.scoreResume);
+
 module.exports = router;
@@ -10,10 +10,12 @@ const profileRoutes = require('./routes/profileRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const contactRoutes = require('./routes/contactRoutes');
 const jobRoutes = require('./routes/jobRoutes');
+const publicRoutes = require('./routes/publicRoutes');
 const mongooseConnection = require('./models/mongooseConnection');
 const nocache = require("nocache");
 const browserManager = require('./services/browserManager');
 const tabManager = require('./services/tabManager');
+const parseJobWorker = require('./services/parseJobWorker');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -41,8 +43,9 @@ const corsOptions = {
       return callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  exposedHeaders: ['X-ATS-Warnings'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -53,6 +56,13 @@ app.use(nocache());
 app.use(helmet.noSniff());
 app.use(helmet.xssFilter());  
 
+// GET routes with their own, more generous limiter (see routes/*Routes.js)
+const OWN_LIMITER_PATHS = [
+  /^\/(skill-mint|api)\/resume\/templates(\/[^/]+\/thumbnail)?$/,
+  /^\/(skill-mint|api)\/resume\/parse-jobs\/[^/]+$/,
+  /^\/skill-mint\/public\/p\//
+];
+
 app.use((req, res, next) => {
   if (req.path === "/skill-mint/check" || 
       req.path.startsWith("/skill-mint/user") || 
@@ -60,6 +70,9 @@ app.use((req, res, next) => {
       req.path === "/api/resume/saved") {
     return next();
   }
+  if (req.method === 'GET' && OWN_LIMITER_PATHS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
   return normalLimiter(req, res, next);
 });
 
@@ -91,6 +104,7 @@ app.use('/skill-mint/resume', resumeRoutes);
 app.use('/api/resume', resumeRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/skill-mint/public', publicRoutes);
 
 app.get('/', (req, res) => {
   console.log(`Server is wake up`);
@@ -107,6 +121,9 @@ const startServer = async () => {
     
     // Initialize browser for job scraping (launches once)
     await browserManager.initialize();
+
+    // Process queued resume uploads, including jobs left over from a previous run
+    parseJobWorker.start();
     
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Server is running on port ${PORT}`);
@@ -122,6 +139,7 @@ startServer();
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  parseJobWorker.stop();
   await tabManager.closeAllTabs();
   await browserManager.close();
   process.exit(0);
@@ -129,6 +147,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully...');
+  parseJobWorker.stop();
   await tabManager.closeAllTabs();
   await browserManager.close();
   process.exit(0);
@@ -12,6 +12,16 @@ class AIProvider {
     throw new Error('parseResume() must be implemented by subclass');
   }
 
+  /**
+   * Translate resume text fragments into another language
+   * @param {Object<string, string>} texts - Fragments keyed by field path
+   * @param {string} targetLanguage - Language name, e.g. "German"
+   * @returns {Promise<Object<string, string>>} - Translations under the same keys
+   */
+  async translateTexts(texts, targetLanguage) {
+    throw new Error('translateTexts() must be implemented by subclass');
+  }
+
   /**
    * Get the name of the AI provider
    * @returns {string} - Provider name
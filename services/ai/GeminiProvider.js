@@ -1,6 +1,9 @@
 const AIProvider = require('./AIProvider');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+// Bump when the parseResume prompt changes; cached parse results of older prompts are then ignored
+const RESUME_PROMPT_VERSION = 1;
+
 /**
  * Gemini AI Provider implementation
  */
@@ -96,6 +99,8 @@ CRITICAL RULES:
 2. Use the EXACT structure shown below
 3. If a field is missing, use empty string "" or empty array []
 4. Never skip or add fields to the structure
+5. Write dates as "YYYY-MM" (or "YYYY" when no month is given); use "present" as endDate for current roles
+6. Put each bullet point or achievement as a separate string in "highlights", without bullet characters
 
 Required JSON Structure:
 {
@@ -112,16 +117,21 @@ Required JSON Structure:
     {
       "degree": "",
       "institution": "",
-      "year": "",
-      "gpa": ""
+      "location": "",
+      "startDate": "",
+      "endDate": "",
+      "gpa": "",
+      "highlights": []
     }
   ],
   "experience": [
     {
       "title": "",
       "company": "",
-      "duration": "",
-      "description": ""
+      "location": "",
+      "startDate": "",
+      "endDate": "",
+      "highlights": []
     }
   ],
   "skills": [],
@@ -140,6 +150,28 @@ ${resumeText}
 
 Extract all information and return the JSON object with filled values:`;
 
+    return this.generateWithFallbacks(prompt);
+  }
+
+  async translateTexts(texts, targetLanguage) {
+    const prompt = `You are a professional resume translator. Translate every value of the JSON object below into ${targetLanguage}.
+
+CRITICAL RULES:
+1. Return ONLY valid JSON - no explanations, no markdown, no code blocks
+2. Keep exactly the same keys; translate the values only
+3. Do NOT translate proper nouns: names of people, companies, universities, products and places
+4. Keep email addresses, URLs, phone numbers, numbers and dates exactly as written
+5. Keep technology names, programming languages, frameworks and tools in their original form (e.g. "React", "Node.js", "AWS")
+6. Use the tone and terminology customary for resumes in ${targetLanguage}
+
+JSON to translate:
+${JSON.stringify(texts, null, 2)}`;
+
+    return this.generateWithFallbacks(prompt);
+  }
+
+  // Try each configured model in turn until one returns valid JSON
+  async generateWithFallbacks(prompt) {
     let lastError = null;
 
     for (const modelName of this.models) {
@@ -164,4 +196,6 @@ Extract all information and return the JSON object with filled values:`;
   }
 }
 
+GeminiProvider.RESUME_PROMPT_VERSION = RESUME_PROMPT_VERSION;
+
 module.exports = GeminiProvider;
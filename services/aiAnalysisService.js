@@ -1,4 +1,6 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
 
 let genAIInstance = null;
 
@@ -174,76 +176,109 @@ Return ONLY valid JSON without any markdown formatting or explanation.`;
   }
 }
 
-/**
- * Format resume data into readable text
- */
-function formatResumeData(data) {
-  let text = '';
-
-  // Personal Info
-  if (data.personalInfo) {
-    text += '=== PERSONAL INFORMATION ===\n';
-    text += `Name: ${data.personalInfo.name}\n`;
-    text += `Email: ${data.personalInfo.email}\n`;
-    text += `Phone: ${data.personalInfo.phone}\n`;
-    text += `Location: ${data.personalInfo.location}\n`;
-    if (data.personalInfo.linkedin) text += `LinkedIn: ${data.personalInfo.linkedin}\n`;
-    if (data.personalInfo.portfolio) text += `Portfolio: ${data.personalInfo.portfolio}\n`;
-    text += '\n';
-  }
+// Section order used when a resume does not set its own sectionOrder
+const ANALYSIS_SECTION_ORDER = ['summary', 'education', 'experience', 'skills', 'projects', 'certifications'];
 
-  // Summary
-  if (data.summary) {
-    text += '=== PROFESSIONAL SUMMARY ===\n';
-    text += `${data.summary}\n\n`;
-  }
+const SECTION_FORMATTERS = {
+  summary: (data) => {
+    if (!data.summary) return '';
+    return `=== PROFESSIONAL SUMMARY ===\n${data.summary}\n\n`;
+  },
 
-  // Education
-  if (data.education && data.education.length > 0) {
-    text += '=== EDUCATION ===\n';
+  education: (data) => {
+    if (!data.education || data.education.length === 0) return '';
+    let text = '=== EDUCATION ===\n';
     data.education.forEach((edu, index) => {
       text += `${index + 1}. ${edu.degree}\n`;
-      text += `   ${edu.institution} (${edu.year})\n`;
+      text += `   ${edu.institution}${edu.location ? `, ${edu.location}` : ''} (${edu.year})\n`;
       if (edu.gpa) text += `   GPA: ${edu.gpa}\n`;
+      edu.highlights.forEach(highlight => {
+        text += `   - ${highlight}\n`;
+      });
       text += '\n';
     });
-  }
+    return text;
+  },
 
-  // Experience
-  if (data.experience && data.experience.length > 0) {
-    text += '=== WORK EXPERIENCE ===\n';
+  experience: (data) => {
+    if (!data.experience || data.experience.length === 0) return '';
+    let text = '=== WORK EXPERIENCE ===\n';
     data.experience.forEach((exp, index) => {
-      text += `${index + 1}. ${exp.title} at ${exp.company}\n`;
+      text += `${index + 1}. ${exp.title} at ${exp.company}${exp.location ? ` (${exp.location})` : ''}\n`;
       text += `   Duration: ${exp.duration}\n`;
-      text += `   ${exp.description}\n\n`;
+      exp.highlights.forEach(highlight => {
+        text += `   - ${highlight}\n`;
+      });
+      text += '\n';
     });
-  }
+    return text;
+  },
 
-  // Skills
-  if (data.skills && data.skills.length > 0) {
-    text += '=== SKILLS ===\n';
-    text += data.skills.join(', ') + '\n\n';
-  }
+  skills: (data) => {
+    if (!data.skills || data.skills.length === 0) return '';
+    return `=== SKILLS ===\n${data.skills.join(', ')}\n\n`;
+  },
 
-  // Projects
-  if (data.projects && data.projects.length > 0) {
-    text += '=== PROJECTS ===\n';
+  projects: (data) => {
+    if (!data.projects || data.projects.length === 0) return '';
+    let text = '=== PROJECTS ===\n';
     data.projects.forEach((proj, index) => {
       text += `${index + 1}. ${proj.name}\n`;
       text += `   ${proj.description}\n`;
       text += `   Technologies: ${proj.technologies}\n\n`;
     });
-  }
+    return text;
+  },
 
-  // Certifications
-  if (data.certifications && data.certifications.length > 0) {
-    text += '=== CERTIFICATIONS ===\n';
+  certifications: (data) => {
+    if (!data.certifications || data.certifications.length === 0) return '';
+    let text = '=== CERTIFICATIONS ===\n';
     data.certifications.forEach((cert, index) => {
       text += `${index + 1}. ${cert}\n`;
     });
+    return text + '\n';
+  }
+};
+
+/**
+ * Format a custom section (publications, awards, ...) into readable text
+ */
+function formatCustomSection(section) {
+  let text = `=== ${section.title.toUpperCase()} ===\n`;
+  section.entries.forEach((entry, index) => {
+    const heading = [entry.title, entry.subtitle].filter(Boolean).join(' - ');
+    text += `${index + 1}. ${heading}${entry.date ? ` (${entry.date})` : ''}\n`;
+    if (entry.description) text += `   ${entry.description}\n`;
+  });
+  return text + '\n';
+}
+
+/**
+ * Format resume data into readable text
+ */
+function formatResumeData(resumeData) {
+  const data = ResumeNormalizer.normalize(resumeData);
+  let text = '';
+
+  // Personal Info
+  if (data.personalInfo) {
+    text += '=== PERSONAL INFORMATION ===\n';
+    text += `Name: ${data.personalInfo.name}\n`;
+    text += `Email: ${data.personalInfo.email}\n`;
+    text += `Phone: ${data.personalInfo.phone}\n`;
+    text += `Location: ${data.personalInfo.location}\n`;
+    if (data.personalInfo.linkedin) text += `LinkedIn: ${data.personalInfo.linkedin}\n`;
+    if (data.personalInfo.portfolio) text += `Portfolio: ${data.personalInfo.portfolio}\n`;
     text += '\n';
   }
 
+  // Remaining sections follow the resume's own order; hidden sections are left out
+  ResumeSections.resolve(data, ANALYSIS_SECTION_ORDER).forEach(section => {
+    text += section.isCustom
+      ? formatCustomSection(section)
+      : SECTION_FORMATTERS[section.key](data);
+  });
+
   return text;
 }
 
@@ -0,0 +1,241 @@
+const handlebars = require('handlebars');
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const templateRegistry = require('./templateRegistry');
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeLocale = require('../utils/resumeLocale');
+
+const ATS_TEMPLATE_PATH = path.join(__dirname, '../templates/ats/resume-ats.hbs');
+
+// Conventional section order most ATS parsers expect
+const ATS_SECTION_ORDER = ['summary', 'experience', 'education', 'skills', 'projects', 'certifications'];
+
+const SECTION_HEADINGS = {
+  summary: 'SUMMARY',
+  experience: 'EXPERIENCE',
+  education: 'EDUCATION',
+  skills: 'SKILLS',
+  projects: 'PROJECTS',
+  certifications: 'CERTIFICATIONS'
+};
+
+// Emoji and pictographic symbols (📧, 📱, 🚀, ✓, ...)
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}✓✔]/gu;
+
+/**
+ * ATS Service
+ * Exports resumes in formats applicant tracking systems parse reliably and
+ * checks rendered templates for elements those systems tend to misread
+ */
+class ATSService {
+  constructor() {
+    this.compiledTemplate = null;
+  }
+
+  /**
+   * Render resume data as plain text
+   * @param {Object} resumeData - Validated resume JSON
+   * @returns {string}
+   */
+  generatePlainText(resumeData) {
+    const data = ResumeNormalizer.normalize(resumeData || {});
+    const info = data.personalInfo || {};
+    const blocks = [];
+
+    blocks.push([(info.name || '').toUpperCase(), this.buildContactLine(info)].filter(Boolean).join('\n'));
+
+    ResumeSections.resolve(data, ATS_SECTION_ORDER).forEach(section => {
+      const lines = section.isCustom
+        ? this.formatCustomSection(section)
+        : this.formatSection(section.key, data);
+
+      if (lines.length > 0) {
+        blocks.push(lines.join('\n'));
+      }
+    });
+
+    return blocks.join('\n\n') + '\n';
+  }
+
+  formatSection(key, data) {
+    const lines = [];
+    const heading = this.getHeading(key, data);
+
+    switch (key) {
+      case 'summary':
+        if (data.summary) {
+          lines.push(heading, data.summary);
+        }
+        break;
+      case 'experience':
+        (data.experience || []).forEach((exp, index) => {
+          if (index === 0) lines.push(heading);
+          else lines.push('');
+          lines.push(exp.title);
+          lines.push([exp.company, exp.location, exp.duration].filter(Boolean).join(' | '));
+          exp.highlights.forEach(highlight => lines.push(`- ${highlight}`));
+        });
+        break;
+      case 'education':
+        (data.education || []).forEach((edu, index) => {
+          if (index === 0) lines.push(heading);
+          else lines.push('');
+          lines.push(edu.degree);
+          lines.push([edu.institution, edu.location, edu.year, edu.gpa ? `GPA: ${edu.gpa}` : ''].filter(Boolean).join(' | '));
+          edu.highlights.forEach(highlight => lines.push(`- ${highlight}`));
+        });
+        break;
+      case 'skills':
+        if (Array.isArray(data.skills) && data.skills.length > 0) {
+          lines.push(heading, data.skills.join(', '));
+        }
+        break;
+      case 'projects':
+        (data.projects || []).forEach((proj, index) => {
+          if (index === 0) lines.push(heading);
+          else lines.push('');
+          lines.push(proj.name || '');
+          if (proj.description) lines.push(proj.description);
+          if (proj.technologies) lines.push(`Technologies: ${proj.technologies}`);
+        });
+        break;
+      case 'certifications':
+        if (Array.isArray(data.certifications) && data.certifications.length > 0) {
+          lines.push(heading, ...data.certifications.map(cert => `- ${cert}`));
+        }
+        break;
+      default:
+        break;
+    }
+
+    return lines.filter(line => line !== undefined);
+  }
+
+  // Section heading in the resume's language (see utils/resumeLocale), English otherwise
+  getHeading(key, data) {
+    const { headings } = ResumeLocale.resolve(data.language);
+    return headings && headings[key] ? headings[key].toUpperCase() : SECTION_HEADINGS[key];
+  }
+
+  formatCustomSection(section) {
+    const lines = [section.title.toUpperCase()];
+
+    section.entries.forEach((entry, index) => {
+      if (index > 0) lines.push('');
+      if (entry.title) lines.push(entry.title);
+      const details = [entry.subtitle, entry.date].filter(Boolean).join(' | ');
+      if (details) lines.push(details);
+      if (entry.description) lines.push(entry.description);
+    });
+
+    return lines;
+  }
+
+  buildContactLine(info) {
+    return [info.location, info.email, info.phone, info.linkedin, info.portfolio].filter(Boolean).join(' | ');
+  }
+
+  /**
+   * Render resume data as single-column HTML without tables, icons or images
+   * @param {Object} resumeData - Validated resume JSON
+   * @returns {Promise<string>} - HTML document
+   */
+  async generateHTML(resumeData) {
+    if (!this.compiledTemplate) {
+      const source = await fs.readFile(ATS_TEMPLATE_PATH, 'utf-8');
+      this.compiledTemplate = handlebars.compile(source);
+    }
+
+    const data = ResumeNormalizer.normalize(resumeData || {});
+
+    return this.compiledTemplate({
+      ...ResumeSections.buildRenderContext(data, { supportedSections: ATS_SECTION_ORDER }),
+      ...ResumeLocale.resolve(data.language),
+      contactLine: this.buildContactLine(data.personalInfo || {})
+    });
+  }
+
+  /**
+   * Flag elements in a rendered template that ATS parsers commonly misread
+   * @param {string} templateName - Template the HTML was rendered with
+   * @param {string} html - Rendered resume HTML
+   * @returns {Promise<Array<{ code: string, severity: string, message: string }>>}
+   */
+  async checkTemplate(templateName, html) {
+    const template = await templateRegistry.resolveTemplate(templateName);
+    const $ = cheerio.load(html);
+    const styles = $('style').text();
+    const warnings = [];
+
+    if (template.columns > 1) {
+      warnings.push({
+        code: 'MULTI_COLUMN',
+        severity: 'high',
+        message: `"${template.displayName}" uses a ${template.columns}-column layout; many ATS read columns out of order or merge them`
+      });
+    }
+
+    $('style, script').remove();
+    const emoji = $('body').text().match(EMOJI_PATTERN);
+    if (emoji) {
+      warnings.push({
+        code: 'ICONS',
+        severity: 'medium',
+        message: `Found ${emoji.length} emoji or icon characters; ATS may drop them or garble the text around them`
+      });
+    }
+
+    const images = $('img, svg, picture, canvas').length;
+    if (images > 0 || /background-image\s*:/i.test(styles)) {
+      warnings.push({
+        code: 'IMAGES',
+        severity: 'medium',
+        message: 'Contains images or background images; their content is invisible to ATS'
+      });
+    }
+
+    if ($('table').length > 0) {
+      warnings.push({
+        code: 'TABLES',
+        severity: 'medium',
+        message: 'Uses tables for layout; ATS often read table cells out of order'
+      });
+    }
+
+    // Fixed elements and @page margin boxes repeat in the page header/footer area
+    if ($('header, footer').length > 0 || /position\s*:\s*fixed|@(top|bottom)-(left|center|right)/i.test(styles)) {
+      warnings.push({
+        code: 'HEADER_TEXT',
+        severity: 'medium',
+        message: 'Places text in page headers or footers; ATS often skip these regions'
+      });
+    }
+
+    const sidebarText = $('[class*="sidebar"]').text();
+    if (/\S+@\S+\.\S+/.test(sidebarText)) {
+      warnings.push({
+        code: 'CONTACT_IN_SIDEBAR',
+        severity: 'high',
+        message: 'Contact details sit in a sidebar; ATS may not find your name, email or phone number'
+      });
+    }
+
+    return warnings;
+  }
+
+  /**
+   * JSON for the X-ATS-Warnings header; non-ASCII characters are escaped
+   * because header values must be ASCII
+   */
+  toHeaderValue(warnings) {
+    return JSON.stringify(warnings).replace(/[\u007f-\uffff]/g,
+      char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  }
+}
+
+// Singleton instance
+const atsService = new ATSService();
+
+module.exports = atsService;
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const handlebars = require('handlebars');
+const cheerio = require('cheerio');
+const CustomTemplate = require('../models/schemas/customTemplateSchema');
+const TemplateHelpers = require('../utils/templateHelpers');
+
+const TEMPLATE_ID_PREFIX = 'custom-';
+const TEMPLATE_ID_PATTERN = /^custom-[a-f0-9]{16}$/;
+
+// Source and CSS arrive together in a JSON body, which express.json() caps at 100 KB
+const MAX_SOURCE_LENGTH = 60 * 1024;
+const MAX_CSS_LENGTH = 30 * 1024;
+const MAX_TEMPLATES_PER_USER = 20;
+const MAX_DISPLAY_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+const SIDEBAR_SECTIONS = ['personalInfo', 'summary', 'experience', 'education', 'skills', 'projects', 'certifications'];
+
+// Handlebars built-ins plus the shared resume helpers; `log` and anything unknown are rejected
+const ALLOWED_HELPERS = new Set(['if', 'unless', 'each', 'with', 'lookup', ...TemplateHelpers.HELPER_NAMES]);
+
+// Property names that would reach into the prototype chain
+const FORBIDDEN_PROPERTIES = new Set([
+  '__proto__', 'constructor', 'prototype',
+  '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__'
+]);
+
+// Elements that run code, load documents or submit data
+const FORBIDDEN_ELEMENTS = ['script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'base', 'form', 'portal'];
+
+// Attributes that make the browser fetch a resource; only inline data: URIs are allowed
+const RESOURCE_ATTRIBUTES = ['src', 'srcset', 'poster', 'data', 'background', 'action', 'formaction', 'xlink:href'];
+
+const FORBIDDEN_CSS = [
+  { pattern: /@import/i, message: '@import is not allowed' },
+  { pattern: /url\(\s*(?!['"]?\s*(data:|#))/i, message: 'url() may only reference data: URIs' },
+  { pattern: /expression\s*\(/i, message: 'CSS expressions are not allowed' },
+  { pattern: /javascript:/i, message: 'javascript: URLs are not allowed' },
+  { pattern: /-moz-binding|behavior\s*:/i, message: 'CSS bindings are not allowed' }
+];
+
+// Everything the rendered page may load is inline; external requests are blocked even if validation missed one
+const CONTENT_SECURITY_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src data:; font-src data:";
+
+// Any Handlebars expression, including comments and triple-stash
+const MUSTACHE_PATTERN = /\{\{!--[\s\S]*?--\}\}|\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g;
+
+/**
+ * Custom Template Service
+ * User-uploaded Handlebars templates with their own CSS. Uploads are validated
+ * statically (no scripts, external resources or prototype access) and rendered
+ * through the same path as the built-in templates, inside a restrictive CSP.
+ */
+class CustomTemplateService {
+  static isCustomTemplateId(name) {
+    return typeof name === 'string' && TEMPLATE_ID_PATTERN.test(name);
+  }
+
+  /**
+   * Validate an uploaded template
+   * @param {Object} body - { displayName, description?, source, css?, columns?, sidebarSections?, isShared? }
+   * @param {Object} existing - Stored template when updating; missing fields keep their values
+   * @returns {{ errors?: string[], template?: Object }}
+   */
+  static validate(body = {}, existing = null) {
+    const errors = [];
+    const pick = field => (body[field] !== undefined ? body[field] : existing && existing[field]);
+
+    const displayName = pick('displayName');
+    const description = pick('description') || '';
+    const source = pick('source');
+    const css = pick('css') || '';
+    const columns = pick('columns') || 1;
+    const sidebarSections = pick('sidebarSections') || [];
+    const isShared = pick('isShared') || false;
+
+    if (typeof displayName !== 'string' || !displayName.trim()) {
+      errors.push('displayName is required');
+    } else if (displayName.trim().length > MAX_DISPLAY_NAME_LENGTH) {
+      errors.push(`displayName must be at most ${MAX_DISPLAY_NAME_LENGTH} characters`);
+    }
+
+    if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    if (columns !== 1 && columns !== 2) {
+      errors.push('columns must be 1 or 2');
+    }
+
+    if (!Array.isArray(sidebarSections) || sidebarSections.some(key => !SIDEBAR_SECTIONS.includes(key))) {
+      errors.push(`sidebarSections may only contain: ${SIDEBAR_SECTIONS.join(', ')}`);
+    }
+
+    if (typeof isShared !== 'boolean') {
+      errors.push('isShared must be a boolean');
+    }
+
+    if (typeof css !== 'string' || css.length > MAX_CSS_LENGTH) {
+      errors.push(`css must be a string of at most ${MAX_CSS_LENGTH / 1024} KB`);
+    } else {
+      errors.push(...this.checkCss(css));
+    }
+
+    if (typeof source !== 'string' || !source.trim()) {
+      errors.push('source is required');
+    } else if (source.length > MAX_SOURCE_LENGTH) {
+      errors.push(`source must be at most ${MAX_SOURCE_LENGTH / 1024} KB`);
+    } else {
+      errors.push(...this.checkSource(source));
+    }
+
+    if (errors.length > 0) {
+      return { errors: [...new Set(errors)] };
+    }
+
+    return {
+      template: {
+        displayName: displayName.trim(),
+        description: description.trim(),
+        source,
+        css,
+        columns,
+        sidebarSections,
+        isShared
+      }
+    };
+  }
+
+  /**
+   * Handlebars and HTML checks of a template source
+   * @returns {string[]} - Problems found
+   */
+  static checkSource(source) {
+    let ast;
+
+    try {
+      ast = handlebars.parse(source);
+    } catch (error) {
+      return [`Invalid Handlebars syntax: ${error.message}`];
+    }
+
+    return [...this.checkHandlebars(ast), ...this.checkHtml(source)];
+  }
+
+  /**
+   * Walk the Handlebars AST: no unescaped output, no unknown helpers, no prototype access
+   */
+  static checkHandlebars(ast) {
+    const errors = [];
+
+    const visit = (node) => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      if (!node || typeof node !== 'object' || !node.type) {
+        return;
+      }
+
+      switch (node.type) {
+        case 'MustacheStatement':
+          if (node.escaped === false) {
+            errors.push('Unescaped output ({{{ }}} or {{& }}) is not allowed');
+          }
+          this.checkHelperCall(node, errors);
+          break;
+        case 'BlockStatement':
+        case 'SubExpression':
+          this.checkHelperCall(node, errors);
+          break;
+        case 'Decorator':
+        case 'DecoratorBlock':
+          if (node.path.original !== 'inline') {
+            errors.push(`Decorator "${node.path.original}" is not allowed`);
+          }
+          break;
+        case 'PathExpression':
+          node.parts.filter(part => FORBIDDEN_PROPERTIES.has(part))
+            .forEach(part => errors.push(`Access to "${part}" is not allowed`));
+          break;
+        case 'StringLiteral':
+          if (FORBIDDEN_PROPERTIES.has(node.value)) {
+            errors.push(`Access to "${node.value}" is not allowed`);
+          }
+          break;
+        default:
+          break;
+      }
+
+      Object.keys(node)
+        .filter(key => key !== 'loc' && node[key] && typeof node[key] === 'object')
+        .forEach(key => visit(node[key]));
+    };
+
+    visit(ast);
+    return errors;
+  }
+
+  // A mustache with arguments, or any sub-expression, calls a helper: only the allowed ones may be called
+  static checkHelperCall(node, errors) {
+    const hasArguments = node.params.length > 0 || (node.hash && node.hash.pairs.length > 0);
+
+    if (node.type !== 'SubExpression' && !hasArguments) {
+      if (node.path.type === 'PathExpression' && node.path.original === 'log') {
+        errors.push('Helper "log" is not allowed');
+      }
+      return;
+    }
+
+    const name = node.path.type === 'PathExpression' && !node.path.data && node.path.parts.length === 1
+      ? node.path.parts[0]
+      : node.path.original;
+
+    if (!ALLOWED_HELPERS.has(name)) {
+      errors.push(`Helper "${name}" is not allowed. Available helpers: ${[...ALLOWED_HELPERS].join(', ')}`);
+    }
+  }
+
+  /**
+   * Markup checks: no scripts, event handlers, embedded documents or external resources.
+   * Handlebars expressions may only produce text and attribute values; one inside a
+   * tag or attribute name (e.g. <scr{{x}}ipt>) could assemble a forbidden tag when
+   * rendered, so expressions are replaced by a marker that must not end up in names.
+   * Text checks also run with expressions removed, since an empty value joins the text around it.
+   */
+  static checkHtml(source) {
+    const marker = `hbsexpr${crypto.randomBytes(4).toString('hex')}`;
+    const errors = this.checkMarkup(source.replace(MUSTACHE_PATTERN, marker), marker);
+
+    errors.push(...this.checkMarkup(source.replace(MUSTACHE_PATTERN, ''), null));
+
+    return [...new Set(errors)];
+  }
+
+  static checkMarkup(html, marker) {
+    const errors = [];
+    const $ = cheerio.load(html);
+
+    FORBIDDEN_ELEMENTS.forEach(tag => {
+      if ($(tag).length > 0) {
+        errors.push(`<${tag}> elements are not allowed`);
+      }
+    });
+
+    $('meta[http-equiv]').each(() => {
+      errors.push('<meta http-equiv> is not allowed');
+    });
+
+    $('style').each((index, element) => {
+      errors.push(...this.checkCss($(element).text()));
+    });
+
+    $('*').each((index, element) => {
+      const tag = element.tagName.toLowerCase();
+
+      if (marker && tag.includes(marker)) {
+        errors.push('Handlebars expressions are not allowed in tag names');
+      }
+
+      Object.entries(element.attribs || {}).forEach(([name, value]) => {
+        const attribute = name.toLowerCase();
+
+        if (marker && attribute.includes(marker)) {
+          errors.push('Handlebars expressions are not allowed in attribute names');
+        } else if (attribute.startsWith('on')) {
+          errors.push(`Event handler attributes (${attribute}) are not allowed`);
+        } else if (/javascript:/i.test(value)) {
+          errors.push('javascript: URLs are not allowed');
+        } else if (attribute === 'style') {
+          errors.push(...this.checkCss(value));
+        } else if (RESOURCE_ATTRIBUTES.includes(attribute) || (attribute === 'href' && tag !== 'a')) {
+          if (!this.isInlineResource(value)) {
+            errors.push(`<${tag} ${attribute}> may only use inline data: URIs`);
+          }
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  // data: URIs and fragment references, written out in the template (not filled in from resume data)
+  static isInlineResource(value) {
+    const text = String(value || '').trim();
+    return !text || (!text.includes('{{') && !text.includes('hbsexpr') && /^(data:|#)/i.test(text));
+  }
+
+  static checkCss(css) {
+    return FORBIDDEN_CSS
+      .filter(({ pattern }) => pattern.test(css))
+      .map(({ message }) => message);
+  }
+
+  /**
+   * Add the template's CSS and the content security policy to a rendered document.
+   * The output is parsed rather than pattern-matched, so the policy always lands in
+   * the real <head>; anything forbidden that still made it into the output is removed.
+   * @param {string} html - Output of the compiled template
+   * @param {string} css - Template stylesheet
+   * @returns {string} - HTML document
+   */
+  static wrapRendered(html, css = '') {
+    const $ = cheerio.load(html);
+
+    $([...FORBIDDEN_ELEMENTS, 'meta[http-equiv]'].join(', ')).remove();
+    $('*').each((index, element) => {
+      Object.keys(element.attribs || {})
+        .filter(name => name.toLowerCase().startsWith('on'))
+        .forEach(name => $(element).removeAttr(name));
+    });
+
+    const head = $('head');
+    if (css) {
+      // Style contents are serialised as-is, so a closing tag in the CSS must not end the element
+      head.prepend($('<style></style>').text(`\n${css.replace(/<\/style/gi, '<\\/style')}\n`));
+    }
+    head.prepend($('<meta http-equiv="Content-Security-Policy">').attr('content', CONTENT_SECURITY_POLICY));
+    if ($('meta[charset]').length === 0) {
+      head.prepend('<meta charset="UTF-8">');
+    }
+
+    const document = $.html();
+    return /^\s*<!doctype/i.test(document) ? document : `<!DOCTYPE html>\n${document}`;
+  }
+
+  /**
+   * Registry-shaped entry for rendering (see services/templateRegistry)
+   */
+  static toEntry(template) {
+    return {
+      name: template.templateId,
+      displayName: template.displayName,
+      description: template.description || '',
+      columns: template.columns || 1,
+      atsFriendly: false,
+      supportedSections: SIDEBAR_SECTIONS,
+      sidebarSections: template.sidebarSections || [],
+      themeDefaults: {},
+      isCustom: true,
+      source: template.source,
+      css: template.css || ''
+    };
+  }
+
+  /**
+   * Template metadata for clients; the source is only included for the owner
+   */
+  static toView(template, userId) {
+    const isOwner = String(template.userId) === String(userId);
+
+    return {
+      templateId: template.templateId,
+      displayName: template.displayName,
+      description: template.description,
+      columns: template.columns,
+      sidebarSections: template.sidebarSections,
+      isShared: template.isShared,
+      isOwner,
+      ...(isOwner ? { source: template.source, css: template.css } : {}),
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    };
+  }
+
+  static async countForUser(userId) {
+    return CustomTemplate.countDocuments({ userId });
+  }
+
+  static async createTemplate(userId, template) {
+    return CustomTemplate.create({
+      ...template,
+      userId,
+      templateId: `${TEMPLATE_ID_PREFIX}${crypto.randomBytes(8).toString('hex')}`
+    });
+  }
+
+  static async updateTemplate(userId, templateId, template) {
+    return CustomTemplate.findOneAndUpdate(
+      { userId, templateId },
+      { $set: template },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * @returns {Promise<boolean>} - false when the user has no such template
+   */
+  static async deleteTemplate(userId, templateId) {
+    const result = await CustomTemplate.deleteOne({ userId, templateId });
+    return result.deletedCount > 0;
+  }
+
+  static async findOwned(userId, templateId) {
+    return CustomTemplate.findOne({ userId, templateId }).lean();
+  }
+
+  /**
+   * The user's own templates followed by templates shared by others
+   */
+  static async listForUser(userId) {
+    const templates = await CustomTemplate.find({ $or: [{ userId }, { isShared: true }] })
+      .sort({ updatedAt: -1 })
+      .lean();
+    const isOwn = template => String(template.userId) === String(userId);
+
+    return [...templates.filter(isOwn), ...templates.filter(template => !isOwn(template))];
+  }
+
+  /**
+   * A template the user owns or that has been shared with everyone
+   * @returns {Promise<Object|null>}
+   */
+  static async findAccessible(templateId, userId) {
+    if (!this.isCustomTemplateId(templateId)) {
+      return null;
+    }
+
+    const filter = userId
+      ? { templateId, $or: [{ userId }, { isShared: true }] }
+      : { templateId, isShared: true };
+
+    return CustomTemplate.findOne(filter).lean();
+  }
+}
+
+CustomTemplateService.MAX_TEMPLATES_PER_USER = MAX_TEMPLATES_PER_USER;
+CustomTemplateService.CONTENT_SECURITY_POLICY = CONTENT_SECURITY_POLICY;
+
+module.exports = CustomTemplateService;
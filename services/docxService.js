@@ -0,0 +1,527 @@
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  ExternalHyperlink,
+  Packer,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableBorders,
+  TableCell,
+  TableRow,
+  TabStopType,
+  TextRun,
+  WidthType
+} = require('docx');
+const templateRegistry = require('./templateRegistry');
+const ResumeTheme = require('../utils/resumeTheme');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeSections = require('../utils/resumeSections');
+const ResumeLocale = require('../utils/resumeLocale');
+
+// Word measures widths in twentieths of a point (twips)
+const PAGE_WIDTH = 11906; // A4
+const PAGE_MARGIN = 720; // 0.5in
+const CONTENT_WIDTH = PAGE_WIDTH - PAGE_MARGIN * 2;
+const SIDEBAR_WIDTH = 3400;
+
+const SIDEBAR_COLOR = '2C5F7C';
+const WHITE = 'FFFFFF';
+
+// Section headings as worded in the matching HTML templates, used for English
+// resumes; other languages take theirs from utils/resumeLocale
+const CLASSIC_HEADINGS = {
+  summary: 'Profile',
+  skills: 'Skills',
+  education: 'Education',
+  experience: 'Professional Experience',
+  projects: 'Projects',
+  certifications: 'Certifications'
+};
+
+const TWO_COLUMN_HEADINGS = {
+  summary: 'Professional Summary',
+  experience: 'Work Experience',
+  education: 'Education',
+  projects: 'Projects',
+  skills: 'Skills',
+  certifications: 'Certifications'
+};
+
+/**
+ * DOCX Service
+ * Turns resume JSON into a styled Word document mirroring the HTML templates
+ */
+class DocxService {
+  /**
+   * Generate a .docx file for the given resume data
+   * @param {Object} resumeData - Resume JSON (personalInfo, summary, experience, ...)
+   * @param {string} templateName - Template name; its manifest column count picks the layout
+   * @param {Object} theme - Normalized theme; accent colour and font family are applied
+   * @returns {Promise<Buffer>} - DOCX file contents
+   */
+  async generateResumeDOCX(resumeData, templateName = 'resume-template', theme = {}) {
+    try {
+      // Multi-column templates get the sidebar layout, everything else the classic one
+      const template = await templateRegistry.resolveTemplate(templateName);
+      const isTwoColumn = template.columns > 1;
+      // Section order, hidden and custom sections as the template's HTML renders them
+      const normalized = ResumeNormalizer.normalize(resumeData || {});
+      const data = {
+        ...ResumeSections.buildRenderContext(normalized, template),
+        // lang, dir and section headings for the resume's language
+        ...ResumeLocale.resolve(normalized.language)
+      };
+
+      const accent = this.toWordColor(theme.accentColor) || (isTwoColumn ? SIDEBAR_COLOR : '000000');
+      const font = theme.fontFamily && ResumeTheme.FONT_FAMILIES[theme.fontFamily]
+        ? theme.fontFamily
+        : (isTwoColumn ? 'Arial' : 'Times New Roman');
+
+      const children = isTwoColumn
+        ? this.buildTwoColumnLayout(data, accent)
+        : this.buildClassicLayout(data, accent);
+
+      const document = new Document({
+        creator: 'Skill Mint',
+        title: `${data.personalInfo?.name || 'Resume'} - Resume`,
+        styles: {
+          default: {
+            document: {
+              run: {
+                font,
+                size: isTwoColumn ? 20 : 22,
+                rightToLeft: data.dir === 'rtl'
+              }
+            }
+          }
+        },
+        sections: [{
+          properties: {
+            page: {
+              margin: {
+                top: PAGE_MARGIN,
+                right: PAGE_MARGIN,
+                bottom: PAGE_MARGIN,
+                left: PAGE_MARGIN
+              }
+            }
+          },
+          children
+        }]
+      });
+
+      return await Packer.toBuffer(document);
+    } catch (error) {
+      throw new Error(`Failed to generate DOCX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Single column layout matching resume-template.hbs
+   * @param {Object} data - Render context from ResumeSections.buildRenderContext
+   */
+  buildClassicLayout(data, accent = '000000') {
+    const info = data.personalInfo || {};
+    const rtl = data.dir === 'rtl';
+    const children = [];
+
+    children.push(new Paragraph({
+      bidirectional: rtl,
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 80 },
+      children: [new TextRun({ text: info.name || '', bold: true, size: 48 })]
+    }));
+
+    const contactParts = [info.phone, info.email, info.location].filter(Boolean);
+    const contactRuns = [new TextRun({ text: contactParts.join(' | '), size: 20 })];
+    if (info.linkedin) {
+      contactRuns.push(new TextRun({ text: contactParts.length ? ' | ' : '', size: 20 }));
+      contactRuns.push(this.buildLink('LinkedIn', info.linkedin));
+    }
+    children.push(new Paragraph({
+      bidirectional: rtl,
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 },
+      children: contactRuns
+    }));
+
+    (data.sections || []).forEach(section => {
+      children.push(...(section.isCustom
+        ? this.buildCustomSection(section, accent, CONTENT_WIDTH, rtl)
+        : this.buildClassicSection(section.key, data, accent)));
+    });
+
+    return children;
+  }
+
+  buildClassicSection(key, data, accent) {
+    const rtl = data.dir === 'rtl';
+    const children = [];
+
+    switch (key) {
+      case 'summary':
+        if (data.summary) {
+          children.push(this.buildSectionTitle(this.heading(data, 'summary', CLASSIC_HEADINGS), accent, rtl));
+          children.push(new Paragraph({
+            bidirectional: rtl,
+            alignment: AlignmentType.JUSTIFIED,
+            spacing: { after: 200 },
+            children: [new TextRun(data.summary)]
+          }));
+        }
+        break;
+      case 'skills':
+        if (this.hasItems(data.skills)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'skills', CLASSIC_HEADINGS), accent, rtl));
+          children.push(new Paragraph({
+            bidirectional: rtl,
+            spacing: { after: 200 },
+            children: [
+              new TextRun({ text: 'Technical Skills: ', bold: true }),
+              new TextRun(data.skills.join(', '))
+            ]
+          }));
+        }
+        break;
+      case 'education':
+        if (this.hasItems(data.education)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'education', CLASSIC_HEADINGS), accent, rtl));
+          data.education.forEach(edu => {
+            children.push(this.buildHeadingRow(this.joinParts(edu.institution, edu.location, ', '), this.dateRange(data, edu, edu.year), CONTENT_WIDTH, rtl));
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              spacing: { after: 120 },
+              children: [new TextRun({ text: edu.degree || '', italics: true })]
+            }));
+            edu.highlights.forEach(highlight => {
+              children.push(this.buildBullet(highlight, rtl));
+            });
+          });
+        }
+        break;
+      case 'experience':
+        if (this.hasItems(data.experience)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'experience', CLASSIC_HEADINGS), accent, rtl));
+          data.experience.forEach(exp => {
+            children.push(this.buildHeadingRow(exp.title, this.dateRange(data, exp, exp.duration), CONTENT_WIDTH, rtl));
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              children: [new TextRun({ text: this.joinParts(exp.company, exp.location, ' | '), italics: true })]
+            }));
+            exp.highlights.forEach(highlight => {
+              children.push(this.buildBullet(highlight, rtl));
+            });
+          });
+        }
+        break;
+      case 'projects':
+        if (this.hasItems(data.projects)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'projects', CLASSIC_HEADINGS), accent, rtl));
+          data.projects.forEach(proj => {
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              spacing: { before: 80 },
+              children: [new TextRun({ text: proj.name || '', bold: true })]
+            }));
+            if (proj.description) {
+              children.push(this.buildBullet(proj.description, rtl));
+            }
+            if (proj.technologies) {
+              children.push(this.buildBullet(proj.technologies, rtl));
+            }
+          });
+        }
+        break;
+      case 'certifications':
+        if (this.hasItems(data.certifications)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'certifications', CLASSIC_HEADINGS), accent, rtl));
+          data.certifications.forEach(cert => {
+            children.push(this.buildBullet(cert, rtl));
+          });
+        }
+        break;
+    }
+
+    return children;
+  }
+
+  /**
+   * Sidebar + main column layout matching resume-template-two-column.hbs
+   * Word has no flexbox, so the columns are a borderless two-cell table
+   * @param {Object} data - Render context from ResumeSections.buildRenderContext
+   */
+  buildTwoColumnLayout(data, accent = SIDEBAR_COLOR) {
+    const info = data.personalInfo || {};
+    const rtl = data.dir === 'rtl';
+    const sidebar = [];
+    const main = [];
+
+    sidebar.push(new Paragraph({
+      bidirectional: rtl,
+      spacing: { after: 200 },
+      children: [new TextRun({ text: info.name || '', bold: true, size: 40, color: WHITE })]
+    }));
+
+    [info.email, info.phone, info.location].filter(Boolean).forEach(item => {
+      sidebar.push(new Paragraph({
+        bidirectional: rtl,
+        spacing: { after: 80 },
+        children: [new TextRun({ text: item, size: 18, color: WHITE })]
+      }));
+    });
+
+    if (info.linkedin) {
+      sidebar.push(new Paragraph({
+        bidirectional: rtl,
+        spacing: { after: 80 },
+        children: [this.buildLink('LinkedIn', info.linkedin, WHITE)]
+      }));
+    }
+
+    (data.sidebarSections || []).forEach(section => {
+      sidebar.push(...this.buildSidebarSection(section.key, data));
+    });
+
+    (data.mainSections || []).forEach(section => {
+      main.push(...(section.isCustom
+        ? this.buildCustomSection(section, accent, CONTENT_WIDTH - SIDEBAR_WIDTH - 400, rtl)
+        : this.buildMainSection(section.key, data, accent)));
+    });
+
+    const cellMargins = { top: 300, bottom: 300, left: 200, right: 200 };
+
+    return [
+      new Table({
+        width: { size: CONTENT_WIDTH, type: WidthType.DXA },
+        columnWidths: [SIDEBAR_WIDTH, CONTENT_WIDTH - SIDEBAR_WIDTH],
+        borders: TableBorders.NONE,
+        // Sidebar on the right, as the HTML template lays it out for right-to-left languages
+        visuallyRightToLeft: rtl,
+        rows: [
+          new TableRow({
+            children: [
+              new TableCell({
+                width: { size: SIDEBAR_WIDTH, type: WidthType.DXA },
+                shading: { type: ShadingType.CLEAR, color: 'auto', fill: accent },
+                margins: cellMargins,
+                children: sidebar.length ? sidebar : [new Paragraph('')]
+              }),
+              new TableCell({
+                width: { size: CONTENT_WIDTH - SIDEBAR_WIDTH, type: WidthType.DXA },
+                margins: cellMargins,
+                children: main.length ? main : [new Paragraph('')]
+              })
+            ]
+          })
+        ]
+      })
+    ];
+  }
+
+  // Sections the two-column manifest places in the sidebar (white on the accent colour)
+  buildSidebarSection(key, data) {
+    const rtl = data.dir === 'rtl';
+    const children = [];
+    const items = key === 'skills' ? data.skills : data.certifications;
+
+    if (!['skills', 'certifications'].includes(key) || !this.hasItems(items)) {
+      return children;
+    }
+
+    children.push(this.buildSectionTitle(this.heading(data, key, TWO_COLUMN_HEADINGS), WHITE, rtl));
+    items.forEach(item => {
+      children.push(new Paragraph({
+        bidirectional: rtl,
+        spacing: { after: 60 },
+        children: [new TextRun({ text: key === 'certifications' ? `✓ ${item}` : item, color: WHITE })]
+      }));
+    });
+
+    return children;
+  }
+
+  buildMainSection(key, data, accent) {
+    const rtl = data.dir === 'rtl';
+    const children = [];
+    const width = CONTENT_WIDTH - SIDEBAR_WIDTH - 400;
+
+    switch (key) {
+      case 'summary':
+        if (data.summary) {
+          children.push(this.buildSectionTitle(this.heading(data, 'summary', TWO_COLUMN_HEADINGS), accent, rtl));
+          children.push(new Paragraph({
+            bidirectional: rtl,
+            spacing: { after: 200 },
+            children: [new TextRun(data.summary)]
+          }));
+        }
+        break;
+      case 'experience':
+        if (this.hasItems(data.experience)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'experience', TWO_COLUMN_HEADINGS), accent, rtl));
+          data.experience.forEach(exp => {
+            children.push(this.buildHeadingRow(exp.title, this.dateRange(data, exp, exp.duration), width, rtl));
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              children: [new TextRun({ text: this.joinParts(exp.company, exp.location, ' • '), italics: true, color: '666666' })]
+            }));
+            exp.highlights.forEach(highlight => {
+              children.push(this.buildBullet(highlight, rtl));
+            });
+          });
+        }
+        break;
+      case 'education':
+        if (this.hasItems(data.education)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'education', TWO_COLUMN_HEADINGS), accent, rtl));
+          data.education.forEach(edu => {
+            children.push(this.buildHeadingRow(this.joinParts(edu.institution, edu.location, ', '), this.dateRange(data, edu, edu.year), width, rtl));
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              spacing: { after: 120 },
+              children: [new TextRun({ text: edu.degree || '', color: '666666' })]
+            }));
+            edu.highlights.forEach(highlight => {
+              children.push(this.buildBullet(highlight, rtl));
+            });
+          });
+        }
+        break;
+      case 'projects':
+        if (this.hasItems(data.projects)) {
+          children.push(this.buildSectionTitle(this.heading(data, 'projects', TWO_COLUMN_HEADINGS), accent, rtl));
+          data.projects.forEach(proj => {
+            children.push(new Paragraph({
+              bidirectional: rtl,
+              spacing: { before: 80 },
+              children: [new TextRun({ text: proj.name || '', bold: true, color: accent })]
+            }));
+            if (proj.description) {
+              children.push(this.buildBullet(proj.description, rtl));
+            }
+            if (proj.technologies) {
+              children.push(this.buildBullet(`Tech Stack: ${proj.technologies}`, rtl));
+            }
+          });
+        }
+        break;
+      // Skills and certifications of a template without a sidebar list
+      case 'skills':
+      case 'certifications':
+        if (this.hasItems(data[key])) {
+          children.push(this.buildSectionTitle(this.heading(data, key, TWO_COLUMN_HEADINGS), accent, rtl));
+          data[key].forEach(item => {
+            children.push(this.buildBullet(item, rtl));
+          });
+        }
+        break;
+    }
+
+    return children;
+  }
+
+  /**
+   * User-defined section (see utils/resumeSections), rendered like the templates' "custom" partial
+   */
+  buildCustomSection(section, accent, width = CONTENT_WIDTH, rtl = false) {
+    const children = [this.buildSectionTitle(section.title, accent, rtl)];
+
+    section.entries.forEach(entry => {
+      children.push(this.buildHeadingRow(entry.title, entry.date, width, rtl));
+      if (entry.subtitle) {
+        children.push(new Paragraph({
+          bidirectional: rtl,
+          children: [new TextRun({ text: entry.subtitle, italics: true })]
+        }));
+      }
+      if (entry.description) {
+        children.push(this.buildBullet(entry.description, rtl));
+      }
+    });
+
+    return children;
+  }
+
+  /**
+   * Section heading with a bottom rule, like .section-title + .border-line
+   */
+  buildSectionTitle(title, color = '000000', rtl = false) {
+    return new Paragraph({
+      bidirectional: rtl,
+      spacing: { before: 200, after: 120 },
+      border: {
+        bottom: { style: BorderStyle.SINGLE, size: 8, color, space: 2 }
+      },
+      children: [new TextRun({ text: title, bold: true, size: 26, color })]
+    });
+  }
+
+  /**
+   * Bold text with end-aligned text on the same line (title/duration); in
+   * right-to-left paragraphs the tab stop is measured from the right margin
+   */
+  buildHeadingRow(left, right, width = CONTENT_WIDTH, rtl = false) {
+    return new Paragraph({
+      bidirectional: rtl,
+      spacing: { before: 80 },
+      tabStops: [{ type: rtl ? TabStopType.END : TabStopType.RIGHT, position: width }],
+      children: [
+        new TextRun({ text: left || '', bold: true }),
+        new TextRun({ text: right ? `\t${right}` : '', bold: true, italics: true })
+      ]
+    });
+  }
+
+  buildBullet(text, rtl = false) {
+    return new Paragraph({
+      bidirectional: rtl,
+      bullet: { level: 0 },
+      spacing: { after: 60 },
+      children: [new TextRun(String(text))]
+    });
+  }
+
+  /**
+   * Section heading in the resume's language, or the layout's English wording
+   * @param {Object} data - Render context with ResumeLocale headings
+   */
+  heading(data, key, defaults) {
+    return (data.headings && data.headings[key]) || defaults[key];
+  }
+
+  // "Mar 2021 - Present" in the resume's language, or the entry's own text when undated
+  dateRange(data, entry, fallback) {
+    return ResumeLocale.formatRange(entry.startDate, entry.endDate, data.lang) || fallback || '';
+  }
+
+  buildLink(text, url, color = '0563C1') {
+    return new ExternalHyperlink({
+      link: url,
+      children: [new TextRun({ text, color, underline: {} })]
+    });
+  }
+
+  // "#2c5f7c" -> "2C5F7C", expanding the short "#abc" form
+  toWordColor(hex) {
+    if (!hex) {
+      return null;
+    }
+
+    const value = hex.replace('#', '');
+    const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+    return full.toUpperCase();
+  }
+
+  hasItems(list) {
+    return Array.isArray(list) && list.length > 0;
+  }
+
+  // "Northwind Labs" + "Austin, TX" -> "Northwind Labs | Austin, TX"
+  joinParts(first, second, separator) {
+    return [first, second].filter(Boolean).join(separator);
+  }
+}
+
+module.exports = new DocxService();
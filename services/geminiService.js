@@ -1,4 +1,12 @@
 const AIProviderFactory = require('./ai/AIProviderFactory');
+const GeminiProvider = require('./ai/GeminiProvider');
+const heuristicResumeParser = require('./heuristicResumeParser');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeProvenance = require('../utils/resumeProvenance');
+
+// 'auto' uses AI and falls back to the heuristic parser when it fails;
+// 'ai' and 'heuristic' use only that parser
+const PARSERS = ['auto', 'ai', 'heuristic'];
 
 /**
  * Parse resume text using Gemini AI
@@ -12,12 +20,87 @@ async function parseResumeWithAI(resumeText) {
     
     const parsedData = await provider.parseResume(resumeText);
     
-    return parsedData;
+    // Providers may still return free-text durations/descriptions
+    return ResumeNormalizer.normalize(parsedData);
   } catch (error) {
     throw new Error(`Failed to parse resume with AI: ${error.message}`);
   }
 }
 
+/**
+ * Parse resume text with the local rule-based parser (no AI provider needed)
+ * @param {string} resumeText - Extracted text
+ * @returns {Object} - Structured resume data in the same shape as parseResumeWithAI
+ */
+function parseResumeWithHeuristics(resumeText) {
+  return ResumeNormalizer.normalize(heuristicResumeParser.parseResume(resumeText));
+}
+
+/**
+ * Parse resume text with the requested parser
+ * @param {string} resumeText - Extracted text
+ * @param {string} parser - One of PARSERS
+ * @param {Object} options - { ocrConfidence } from pdfParserService.extractText
+ * @returns {Promise<{ resumeData: Object, parsedWith: string, fallbackReason?: string, provenance: Object }>}
+ *   parsedWith is 'ai' or 'heuristic'; fallbackReason explains why AI parsing was not used.
+ *   provenance holds per-field confidence and source spans (see utils/resumeProvenance)
+ */
+async function parseResume(resumeText, parser = 'auto', { ocrConfidence = null } = {}) {
+  const parsed = await runParser(resumeText, parser);
+
+  return {
+    ...parsed,
+    provenance: {
+      sourceText: resumeText,
+      ocrConfidence,
+      ...ResumeProvenance.annotate(parsed.resumeData, resumeText, { ocrConfidence })
+    }
+  };
+}
+
+/**
+ * Version of the prompt and/or rules a parser choice may use, e.g. "ai-1+heuristic-1"
+ * @param {string} parser - One of PARSERS
+ * @returns {string}
+ */
+function getParserVersion(parser) {
+  const versions = [];
+
+  if (parser !== 'heuristic') {
+    versions.push(`ai-${GeminiProvider.RESUME_PROMPT_VERSION}`);
+  }
+  if (parser !== 'ai') {
+    versions.push(`heuristic-${heuristicResumeParser.version}`);
+  }
+
+  return versions.join('+');
+}
+
+async function runParser(resumeText, parser) {
+  if (parser === 'heuristic') {
+    return { resumeData: parseResumeWithHeuristics(resumeText), parsedWith: 'heuristic' };
+  }
+
+  try {
+    return { resumeData: await parseResumeWithAI(resumeText), parsedWith: 'ai' };
+  } catch (error) {
+    if (parser === 'ai') {
+      throw error;
+    }
+
+    console.error('❌ AI resume parsing failed, using heuristic parser:', error.message);
+    return {
+      resumeData: parseResumeWithHeuristics(resumeText),
+      parsedWith: 'heuristic',
+      fallbackReason: error.message
+    };
+  }
+}
+
 module.exports = {
-  parseResumeWithAI
+  PARSERS,
+  getParserVersion,
+  parseResume,
+  parseResumeWithAI,
+  parseResumeWithHeuristics
 };
@@ -0,0 +1,574 @@
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+
+// Section headings (lowercased, punctuation stripped) and the section they start
+const SECTION_HEADINGS = {
+  summary: [
+    'summary', 'profile', 'professional summary', 'career summary', 'professional profile',
+    'about', 'about me', 'objective', 'career objective'
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'employment', 'employment history',
+    'work history', 'career history', 'relevant experience', 'internships', 'internship experience'
+  ],
+  education: ['education', 'academic background', 'academics', 'education and training', 'qualifications'],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'competencies',
+    'technologies', 'tech stack', 'skills and tools', 'tools and technologies'
+  ],
+  projects: ['projects', 'personal projects', 'academic projects', 'key projects', 'side projects'],
+  certifications: [
+    'certifications', 'certificates', 'certification', 'licenses and certifications',
+    'certifications and licenses', 'courses', 'courses and certifications'
+  ],
+  // Recognised so their content does not run into the previous section, but not parsed
+  other: [
+    'awards', 'honors', 'honors and awards', 'achievements', 'accomplishments', 'interests', 'hobbies',
+    'languages', 'references', 'volunteer', 'volunteering', 'volunteer experience', 'publications',
+    'activities', 'extracurricular activities', 'leadership', 'additional information'
+  ]
+};
+
+const HEADING_LOOKUP = Object.entries(SECTION_HEADINGS).reduce((lookup, [section, headings]) => {
+  headings.forEach(heading => { lookup[heading] = section; });
+  return lookup;
+}, {});
+
+// Headings also recognised with content after a colon, e.g. "Skills: JavaScript, React";
+// others such as "Languages:" or "Tech Stack:" are more often labels inside a section
+const INLINE_HEADINGS = new Set(['summary', 'profile', 'objective', 'skills', 'technical skills', 'key skills', 'certifications']);
+const MAX_HEADING_LENGTH = 40;
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const YEAR = '(?:19|20)\\d{2}';
+const DATE = `(?:${MONTH}\\.?,?\\s+${YEAR}|(?:0?[1-9]|1[0-2])\\/${YEAR}|${YEAR}-(?:0[1-9]|1[0-2])|${YEAR})`;
+const DATE_RANGE_PATTERN = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|ongoing|date)\\b`, 'i');
+const SINGLE_DATE_PATTERN = new RegExp(`\\b(${DATE})\\b`, 'i');
+const PRESENT_PATTERN = /^(present|current|now|ongoing|date)$/i;
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_PATTERN = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d[\d\s.-]{5,}\d/g;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[A-Za-z0-9_%-]+\/?/i;
+const GITHUB_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/[A-Za-z0-9-]+\/?/i;
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s|,;()]+/gi;
+const PHONE_LABEL_PATTERN = /\b(?:phone|mobile|tel|cell|contact)\b/i;
+
+const BULLET_PATTERN = /^\s*(?:[•▪◦●‣∙○■□➢➤►✓*-]|\d+[.)])\s*/;
+// Separators between fields on one line, e.g. "Engineer | Acme | Austin, TX"
+const FIELD_SEPARATOR_PATTERN = /\s+[|•·]\s+|\s+[–—-]\s+|\s{2,}|\t+/;
+const LIST_SEPARATOR_PATTERN = /\s*[,;|•·]\s*|\s{2,}|\t+/;
+
+// "Remote", "Austin, TX", "San Francisco, CA, USA" (capitalised words only)
+const PLACE = "[A-Z][A-Za-z.'’-]*(?: [A-Z][A-Za-z.'’-]*){0,2}";
+const LOCATION_PATTERN = new RegExp(`^(?:[Rr]emote|REMOTE|[Hh]ybrid|HYBRID|${PLACE}(?:,\\s*${PLACE}){1,2})$`);
+const NAME_PATTERN = /^[A-Za-z][A-Za-z.'’-]*(?:\s+[A-Za-z][A-Za-z.'’-]*){1,4}$/;
+const DEGREE_PATTERN = /\b(?:B\.?\s?(?:S|A|E|Sc|Tech|Com|B\.?A)\b\.?|M\.?\s?(?:S|A|E|Sc|Tech|Com|B\.?A|Phil)\b\.?|MBA|Ph\.?\s?D\.?|BCA|MCA|Bachelor(?:'s)?|Master(?:'s)?|Doctor(?:ate)?|Associate(?:'s)? (?:of|in|degree)|Diploma|High School|Higher Secondary|Secondary School)/i;
+const INSTITUTION_PATTERN = /\b(?:University|College|Institute|School|Academy|Polytechnic|Universität|Université)\b/i;
+const GPA_PATTERN = /\b(?:C?GPA|Grade)\s*:?\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)/i;
+const TITLE_PATTERN = /\b(?:engineer|developer|manager|intern|analyst|designer|consultant|lead|director|architect|scientist|specialist|administrator|officer|coordinator|associate|assistant|programmer|head|founder|president|executive|researcher|technician)\b/i;
+const COMPANY_PATTERN = /\b(?:inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|labs|technologies|solutions|systems|group|pvt)\b\.?$/i;
+const TECHNOLOGIES_PATTERN = /^(?:tech(?:nologies|nology)?(?: stack| used)?|stack|tools|built with)\s*[:-]\s*(.+)$/i;
+
+// Long unlabelled lines inside an entry are description text rather than a title or company
+const DESCRIPTION_MIN_WORDS = 10;
+const SUMMARY_MIN_WORDS = 12;
+const MAX_SKILL_LENGTH = 50;
+// Bump when the parsing rules change; cached parse results of older versions are then ignored
+const PARSER_VERSION = 1;
+
+/**
+ * Heuristic Resume Parser
+ * Deterministic, rule-based alternative to the AI providers for when none is
+ * configured or every model fails. Finds section headings, contact details,
+ * date ranges, degrees and skills in the extracted text and returns the same
+ * shape as GeminiProvider.parseResume. Layouts it does not recognise leave
+ * fields empty rather than guessing, so results should be reviewed by the user.
+ */
+class HeuristicResumeParser {
+  constructor() {
+    this.version = PARSER_VERSION;
+  }
+
+  /**
+   * Parse resume text into structured JSON
+   * @param {string} resumeText - Raw text extracted from resume
+   * @returns {Object} - Structured resume data (personalInfo, summary, education, experience, skills, projects, certifications)
+   */
+  parseResume(resumeText) {
+    const lines = String(resumeText || '')
+      .split(/\r?\n/)
+      .map(line => line.replace(/[^\S\t]+/g, ' ').trim())
+      .filter(Boolean);
+
+    const sections = this.splitSections(lines);
+    const personalInfo = this.parsePersonalInfo(sections.header, lines);
+
+    return {
+      personalInfo,
+      summary: this.parseSummary(sections.summary, sections.header, personalInfo),
+      education: this.groupEntries(sections.education, DEGREE_PATTERN).map(entry => this.toEducation(entry)),
+      experience: this.groupEntries(sections.experience).map(entry => this.toExperience(entry)),
+      skills: this.parseSkills(sections.skills),
+      projects: this.groupEntries(sections.projects).map(entry => this.toProject(entry)),
+      certifications: this.parseCertifications(sections.certifications)
+    };
+  }
+
+  /**
+   * Split lines at section headings; lines before the first heading form the header
+   * "Skills: JavaScript, React" starts the skills section with the text after the colon
+   * @returns {Object<string, string[]>}
+   */
+  splitSections(lines) {
+    const sections = { header: [] };
+    Object.keys(SECTION_HEADINGS).forEach(section => { sections[section] = []; });
+
+    let current = 'header';
+
+    lines.forEach(line => {
+      const heading = this.matchHeading(line);
+
+      if (heading) {
+        current = heading.section;
+        if (heading.rest) {
+          sections[current].push(heading.rest);
+        }
+        return;
+      }
+
+      sections[current].push(line);
+    });
+
+    return sections;
+  }
+
+  matchHeading(line) {
+    const inline = line.match(/^([A-Za-z &/]{3,40}):\s*(.+)$/);
+    if (inline && INLINE_HEADINGS.has(this.headingKey(inline[1]))) {
+      return { section: HEADING_LOOKUP[this.headingKey(inline[1])], rest: inline[2].trim() };
+    }
+
+    if (line.length > MAX_HEADING_LENGTH) {
+      return null;
+    }
+
+    const section = HEADING_LOOKUP[this.headingKey(line)];
+    return section ? { section, rest: '' } : null;
+  }
+
+  headingKey(text) {
+    return text
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z ]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Contact details; the header is searched first, then the whole text
+   * (contact lines are sometimes placed in a sidebar or footer)
+   */
+  parsePersonalInfo(headerLines, allLines) {
+    const headerText = headerLines.join('\n');
+    const allText = allLines.join('\n');
+    const find = pattern => (headerText.match(pattern) || allText.match(pattern) || [])[0] || '';
+
+    const linkedin = find(LINKEDIN_PATTERN);
+    const github = find(GITHUB_PATTERN);
+    const website = this.findWebsite(headerText) || this.findWebsite(allText);
+
+    const phoneLines = allLines.filter(line => PHONE_LABEL_PATTERN.test(line) || EMAIL_PATTERN.test(line));
+    const phone = this.findPhone(headerLines) || this.findPhone(phoneLines);
+
+    const segments = headerLines.flatMap(line => this.splitFields(line));
+    const name = this.toNameCase(segments.find(segment => this.isName(segment)) || '');
+    const location = segments.find(segment => segment !== name && this.isLocation(segment)) || '';
+
+    return {
+      name,
+      email: find(EMAIL_PATTERN),
+      phone,
+      location,
+      linkedin: linkedin ? this.toUrl(linkedin) : '',
+      // A personal site is the better portfolio link; GitHub is used when there is none
+      portfolio: website ? this.toUrl(website) : (github ? this.toUrl(github) : '')
+    };
+  }
+
+  findWebsite(text) {
+    const urls = text.match(URL_PATTERN) || [];
+    const website = urls.find(url => !LINKEDIN_PATTERN.test(url) && !GITHUB_PATTERN.test(url));
+
+    return website ? website.replace(/[.]+$/, '') : '';
+  }
+
+  findPhone(lines) {
+    for (const line of lines) {
+      // Dates would otherwise look like phone numbers, e.g. "2018 - 2021"
+      const text = line.replace(new RegExp(DATE_RANGE_PATTERN.source, 'gi'), ' ');
+
+      for (const candidate of text.match(PHONE_PATTERN) || []) {
+        const digits = candidate.replace(/\D/g, '');
+        if (digits.length >= 7 && digits.length <= 15) {
+          return candidate.trim();
+        }
+      }
+    }
+
+    return '';
+  }
+
+  isName(segment) {
+    return NAME_PATTERN.test(segment)
+      && !this.matchHeading(segment)
+      && !/\b(?:resume|curriculum vitae|cv)\b/i.test(segment)
+      && !TITLE_PATTERN.test(segment);
+  }
+
+  // "ALEX MORGAN" -> "Alex Morgan"; mixed-case names are kept as written
+  toNameCase(name) {
+    if (name !== name.toUpperCase()) {
+      return name;
+    }
+
+    return name.toLowerCase().replace(/(^|[\s'’-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+  }
+
+  isLocation(segment) {
+    return LOCATION_PATTERN.test(segment)
+      && ![DEGREE_PATTERN, INSTITUTION_PATTERN, TITLE_PATTERN, COMPANY_PATTERN].some(pattern => pattern.test(segment));
+  }
+
+  /**
+   * Summary section text; without one, long sentences in the header are used
+   */
+  parseSummary(summaryLines, headerLines, personalInfo) {
+    if (summaryLines.length) {
+      return this.joinLines(summaryLines.map(line => line.replace(BULLET_PATTERN, '')));
+    }
+
+    const contactValues = Object.values(personalInfo).filter(Boolean);
+    const sentences = headerLines.filter(line =>
+      this.wordCount(line) >= SUMMARY_MIN_WORDS
+      && !contactValues.some(value => line.includes(value)));
+
+    return this.joinLines(sentences);
+  }
+
+  /**
+   * Group section lines into entries: unbulleted lines form an entry's header
+   * (title, company, dates...), bulleted lines its highlights. A new entry starts
+   * at the first header line after highlights, at a second date range, or at a
+   * second line matching leadPattern (e.g. a degree).
+   * @param {string[]} lines - Section lines
+   * @param {RegExp} [leadPattern] - Matches the line that leads each entry
+   * @returns {Array<{ header: string[], highlights: string[], dates: Object|null }>}
+   */
+  groupEntries(lines, leadPattern) {
+    const entries = [];
+    let entry = null;
+
+    const startEntry = () => {
+      entry = { header: [], highlights: [], dates: null };
+      entries.push(entry);
+    };
+
+    lines.forEach(line => {
+      const isBullet = BULLET_PATTERN.test(line);
+      const text = line.replace(BULLET_PATTERN, '').trim();
+
+      if (!text) {
+        return;
+      }
+
+      if (isBullet) {
+        if (!entry) {
+          startEntry();
+        }
+        entry.highlights.push(text);
+        return;
+      }
+
+      const lastHighlight = entry ? entry.highlights.length - 1 : -1;
+
+      // Bullet text wrapped onto the next line by the PDF layout
+      if (lastHighlight >= 0 && /^[a-z(]/.test(text)) {
+        entry.highlights[lastHighlight] += ` ${text}`;
+        return;
+      }
+
+      const dates = this.extractDates(text);
+
+      if (entry && lastHighlight < 0 && !dates && entry.header.length && this.wordCount(text) >= DESCRIPTION_MIN_WORDS) {
+        entry.highlights.push(text);
+        return;
+      }
+
+      const repeatsLead = leadPattern && leadPattern.test(text) && entry
+        && entry.header.some(headerLine => leadPattern.test(headerLine));
+
+      if (!entry || lastHighlight >= 0 || (dates && entry.dates) || repeatsLead) {
+        startEntry();
+      }
+
+      if (dates && !entry.dates) {
+        entry.dates = dates;
+        const rest = this.cleanField(text.replace(dates.match, ' '));
+        if (rest) {
+          entry.header.push(rest);
+        }
+        return;
+      }
+
+      entry.header.push(text);
+    });
+
+    return entries.filter(item => item.header.length || item.highlights.length);
+  }
+
+  /**
+   * Find a date range ("Mar 2021 - Present", "06/2018 to 02/2021", "2014 – 2018")
+   * or a single date (e.g. a graduation year) in a line
+   * @returns {{ startDate: string, endDate: string, match: string }|null}
+   */
+  extractDates(text) {
+    const range = text.match(DATE_RANGE_PATTERN);
+
+    if (range) {
+      return {
+        startDate: this.toIsoDate(range[1]),
+        endDate: this.toIsoDate(range[2]),
+        match: range[0]
+      };
+    }
+
+    const single = text.match(SINGLE_DATE_PATTERN);
+    if (single) {
+      return { startDate: '', endDate: this.toIsoDate(single[1]), match: single[0] };
+    }
+
+    return null;
+  }
+
+  // "Mar 2021", "March, 2021", "03/2021", "2021-03", "2021" or "present"
+  toIsoDate(text) {
+    const value = text.trim().replace(/,/g, '');
+
+    if (PRESENT_PATTERN.test(value)) {
+      return ResumeNormalizer.PRESENT;
+    }
+
+    const numeric = value.match(/^(\d{1,2})\/(\d{4})$/);
+    if (numeric) {
+      return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+    }
+
+    return ResumeNormalizer.normalizeDate(value.replace(/\./g, ''));
+  }
+
+  toExperience(entry) {
+    const { location, fields } = this.splitHeader(entry.header);
+    let [title = '', company = ''] = fields;
+
+    const atMatch = !company && title.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+    if (atMatch) {
+      [, title, company] = atMatch;
+    } else if (!company && title.includes(', ')) {
+      [title, company] = this.splitOnce(title, ', ');
+    }
+
+    // "Acme Inc | Software Engineer" lists the company first
+    if ((COMPANY_PATTERN.test(title) || TITLE_PATTERN.test(company)) && !TITLE_PATTERN.test(title)) {
+      [title, company] = [company, title];
+    }
+
+    return {
+      title,
+      company,
+      location,
+      startDate: entry.dates ? entry.dates.startDate : '',
+      endDate: entry.dates ? entry.dates.endDate : '',
+      highlights: entry.highlights
+    };
+  }
+
+  toEducation(entry) {
+    let gpa = '';
+    const takeGpa = line => {
+      const match = line.match(GPA_PATTERN);
+      if (!match) {
+        return line;
+      }
+      gpa = gpa || match[1].replace(/\s+/g, '');
+      return this.cleanField(line.replace(match[0], ' '));
+    };
+
+    const header = entry.header.map(takeGpa).filter(Boolean);
+    const highlights = entry.highlights.map(takeGpa).filter(Boolean);
+
+    const { location, fields } = this.splitHeader(header);
+    const pieces = fields.flatMap(field =>
+      (DEGREE_PATTERN.test(field) && INSTITUTION_PATTERN.test(field) ? field.split(/\s*,\s*/) : [field]));
+
+    const degree = pieces.find(piece => DEGREE_PATTERN.test(piece)) || '';
+    const institution = pieces.find(piece => piece !== degree && INSTITUTION_PATTERN.test(piece))
+      || pieces.find(piece => piece !== degree)
+      || '';
+
+    return {
+      degree,
+      institution,
+      location,
+      startDate: entry.dates ? entry.dates.startDate : '',
+      endDate: entry.dates ? entry.dates.endDate : '',
+      gpa,
+      highlights
+    };
+  }
+
+  toProject(entry) {
+    let technologies = '';
+    const takeTechnologies = line => {
+      const match = line.match(TECHNOLOGIES_PATTERN);
+      if (!match) {
+        return line;
+      }
+      technologies = technologies || match[1].trim();
+      return '';
+    };
+
+    const [first = '', ...rest] = entry.header.map(takeTechnologies).filter(Boolean);
+    const highlights = entry.highlights.map(takeTechnologies).filter(Boolean);
+
+    let [name = '', ...details] = this.splitFields(first);
+
+    // "Open Budget (React, Node.js)"
+    const parenthetical = name.match(/^(.+?)\s*\(([^)]+)\)$/);
+    if (parenthetical) {
+      name = parenthetical[1];
+      technologies = technologies || parenthetical[2];
+    }
+
+    return {
+      name,
+      description: this.joinSentences([...details, ...rest, ...highlights]),
+      technologies
+    };
+  }
+
+  /**
+   * Fields of an entry header with a "City, ST" location pulled out
+   * @returns {{ location: string, fields: string[] }}
+   */
+  splitHeader(headerLines) {
+    const fields = headerLines.flatMap(line => this.splitFields(line));
+    let location = fields.find(field => this.isLocation(field)) || '';
+
+    if (location) {
+      return { location, fields: fields.filter(field => field !== location) };
+    }
+
+    // "Acme Corp, Austin, TX" has the location after the last field's comma
+    const result = fields.map(field => {
+      const pieces = field.split(/\s*,\s*/);
+
+      for (let count = Math.min(3, pieces.length - 1); count > 0 && !location; count--) {
+        const tail = pieces.slice(-count).join(', ');
+        if (this.isLocation(tail)) {
+          location = tail;
+          return pieces.slice(0, -count).join(', ');
+        }
+      }
+
+      return field;
+    });
+
+    return { location, fields: result };
+  }
+
+  splitFields(line) {
+    return line
+      .split(FIELD_SEPARATOR_PATTERN)
+      .map(field => this.cleanField(field))
+      .filter(Boolean);
+  }
+
+  /**
+   * Skills listed one per line or separated by commas, optionally grouped
+   * under labels such as "Languages: JavaScript, Python"
+   */
+  parseSkills(lines) {
+    const seen = new Set();
+    const skills = [];
+
+    lines.forEach(line => {
+      const text = line.replace(BULLET_PATTERN, '').replace(/^[^:,]{1,40}:\s*/, '');
+
+      text.split(LIST_SEPARATOR_PATTERN).forEach(item => {
+        const skill = this.cleanField(item).replace(/\.$/, '');
+        const key = skill.toLowerCase();
+
+        if (skill && skill.length <= MAX_SKILL_LENGTH && !seen.has(key)) {
+          seen.add(key);
+          skills.push(skill);
+        }
+      });
+    });
+
+    return skills;
+  }
+
+  parseCertifications(lines) {
+    const certifications = [];
+
+    lines.forEach(line => {
+      const text = line.replace(BULLET_PATTERN, '').trim();
+      const last = certifications.length - 1;
+
+      // Wrapped continuation of the previous certification
+      if (last >= 0 && /^[a-z(]/.test(text)) {
+        certifications[last] += ` ${text}`;
+      } else if (text.length > 2) {
+        certifications.push(text);
+      }
+    });
+
+    return certifications;
+  }
+
+  // Trim whitespace and dangling separators left behind by removed dates
+  cleanField(text) {
+    return text
+      .replace(/^[\s|,;:•·–—-]+|[\s|,;:•·–—-]+$/g, '')
+      .replace(/\(\s*\)/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  splitOnce(text, separator) {
+    const index = text.indexOf(separator);
+    return [text.slice(0, index), text.slice(index + separator.length)];
+  }
+
+  joinLines(lines) {
+    return lines.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Fragments such as "Personal finance tracker" end with a full stop once joined
+  joinSentences(lines) {
+    return this.joinLines(lines.map(line => (/[.!?]$/.test(line) ? line : `${line}.`)));
+  }
+
+  wordCount(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  toUrl(link) {
+    return /^https?:\/\//i.test(link) ? link : `https://${link}`;
+  }
+}
+
+// Singleton instance
+const heuristicResumeParser = new HeuristicResumeParser();
+
+module.exports = heuristicResumeParser;
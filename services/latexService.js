@@ -0,0 +1,176 @@
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeLocale = require('../utils/resumeLocale');
+
+const SECTION_HEADINGS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  projects: 'Projects',
+  skills: 'Skills',
+  certifications: 'Certifications'
+};
+
+const LATEX_SPECIAL = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/**
+ * LaTeX Service
+ * Renders resume JSON into LaTeX source for the moderncv class (classic style),
+ * ready to build with pdflatex/xelatex
+ */
+class LatexService {
+  /**
+   * Render resume data as a moderncv document
+   * @param {Object} resumeData - Resume JSON (personalInfo, summary, experience, ...)
+   * @returns {string} - LaTeX source
+   */
+  generateLatex(resumeData) {
+    const data = ResumeNormalizer.normalize(resumeData || {});
+    const info = data.personalInfo || {};
+
+    const body = ResumeSections.resolve(data)
+      .map(section => (section.isCustom
+        ? this.formatCustomSection(section)
+        : this.formatSection(section.key, data)))
+      .filter(lines => lines.length > 0)
+      .map(lines => lines.join('\n'));
+
+    return [
+      [
+        '\\documentclass[11pt,a4paper,sans]{moderncv}',
+        '\\moderncvstyle{classic}',
+        '\\moderncvcolor{blue}',
+        '\\usepackage[utf8]{inputenc}',
+        '\\usepackage[scale=0.8]{geometry}'
+      ].join('\n'),
+      this.buildPersonalInfo(info).join('\n'),
+      '\\begin{document}\n\\makecvtitle',
+      ...body,
+      '\\end{document}'
+    ].join('\n\n') + '\n';
+  }
+
+  // moderncv header commands: \name{first}{last}, \address, \phone, \email, \social, \homepage
+  buildPersonalInfo(info) {
+    const [firstName, ...lastNames] = (info.name || 'Resume').trim().split(/\s+/);
+    const lines = [`\\name{${this.escape(firstName)}}{${this.escape(lastNames.join(' '))}}`];
+
+    if (info.location) lines.push(`\\address{${this.escape(info.location)}}{}{}`);
+    if (info.phone) lines.push(`\\phone[mobile]{${this.escape(info.phone)}}`);
+    if (info.email) lines.push(`\\email{${this.escape(info.email)}}`);
+
+    if (info.linkedin) {
+      const handle = info.linkedin.match(/linkedin\.com\/in\/([^/?#]+)/i);
+      lines.push(handle
+        ? `\\social[linkedin]{${this.escape(handle[1])}}`
+        : `\\extrainfo{${this.escape(info.linkedin)}}`);
+    }
+
+    if (info.portfolio) {
+      lines.push(`\\homepage{${this.escape(info.portfolio.replace(/^https?:\/\//i, ''))}}`);
+    }
+
+    return lines;
+  }
+
+  formatSection(key, data) {
+    const lines = [];
+    const heading = `\\section{${this.escape(this.getHeading(key, data))}}`;
+
+    switch (key) {
+      case 'summary':
+        if (data.summary) {
+          lines.push(heading, `\\cvitem{}{${this.escape(data.summary)}}`);
+        }
+        break;
+      case 'experience':
+        (data.experience || []).forEach((exp, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push(this.buildEntry(exp.duration, exp.title, exp.company, exp.location, '', exp.highlights));
+        });
+        break;
+      case 'education':
+        (data.education || []).forEach((edu, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push(this.buildEntry(edu.year, edu.degree, edu.institution, edu.location,
+            edu.gpa ? `GPA: ${edu.gpa}` : '', edu.highlights));
+        });
+        break;
+      case 'projects':
+        (data.projects || []).forEach((proj, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push(this.buildEntry('', proj.name, proj.technologies, '', '', [], proj.description));
+        });
+        break;
+      case 'skills':
+        if (Array.isArray(data.skills) && data.skills.length > 0) {
+          lines.push(heading, `\\cvitem{}{${data.skills.map(skill => this.escape(skill)).join(', ')}}`);
+        }
+        break;
+      case 'certifications':
+        if (Array.isArray(data.certifications) && data.certifications.length > 0) {
+          lines.push(heading, ...data.certifications.map(cert => `\\cvlistitem{${this.escape(cert)}}`));
+        }
+        break;
+      default:
+        break;
+    }
+
+    return lines;
+  }
+
+  // Section heading in the resume's language (see utils/resumeLocale), English otherwise
+  getHeading(key, data) {
+    const { headings } = ResumeLocale.resolve(data.language);
+    return (headings && headings[key]) || SECTION_HEADINGS[key];
+  }
+
+  formatCustomSection(section) {
+    return [
+      `\\section{${this.escape(section.title)}}`,
+      ...section.entries.map(entry =>
+        this.buildEntry(entry.date, entry.title, entry.subtitle, '', '', [], entry.description))
+    ];
+  }
+
+  /**
+   * \cventry{dates}{title}{organisation}{location}{grade}{description}
+   * Highlights become an itemize list; free text is used when there are none
+   */
+  buildEntry(dates, title, organisation, location, grade, highlights = [], text = '') {
+    let description = this.escape(text);
+
+    if (highlights.length > 0) {
+      description = [
+        '',
+        '\\begin{itemize}',
+        ...highlights.map(item => `\\item ${this.escape(item)}`),
+        '\\end{itemize}'
+      ].join('\n');
+    }
+
+    return `\\cventry{${[dates, title, organisation, location, grade].map(part => this.escape(part)).join('}{')}}{${description}}`;
+  }
+
+  escape(text) {
+    if (!text) return '';
+
+    return String(text)
+      .replace(/[\\&%$#_{}~^]/g, char => LATEX_SPECIAL[char])
+      // Paragraph breaks inside an argument would end the command
+      .replace(/\s*\n\s*/g, ' \\newline ');
+  }
+}
+
+module.exports = new LatexService();
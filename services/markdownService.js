@@ -0,0 +1,161 @@
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeLocale = require('../utils/resumeLocale');
+
+const SECTION_HEADINGS = {
+  summary: 'Summary',
+  experience: 'Experience',
+  education: 'Education',
+  projects: 'Projects',
+  skills: 'Skills',
+  certifications: 'Certifications'
+};
+
+// Characters with inline meaning in CommonMark
+const MARKDOWN_SPECIAL = /[\\`*_[\]<>#|]/g;
+
+/**
+ * Markdown Service
+ * Renders resume JSON into a Markdown document (headings, bullet highlights, links)
+ */
+class MarkdownService {
+  /**
+   * Render resume data as Markdown
+   * @param {Object} resumeData - Resume JSON (personalInfo, summary, experience, ...)
+   * @returns {string} - Markdown source
+   */
+  generateMarkdown(resumeData) {
+    const data = ResumeNormalizer.normalize(resumeData || {});
+    const info = data.personalInfo || {};
+    const blocks = [];
+
+    const header = [`# ${this.escape(info.name || 'Resume')}`];
+    const contact = this.buildContactLine(info);
+    if (contact) header.push('', contact);
+    blocks.push(header.join('\n'));
+
+    ResumeSections.resolve(data).forEach(section => {
+      const lines = section.isCustom
+        ? this.formatCustomSection(section)
+        : this.formatSection(section.key, data);
+
+      if (lines.length > 0) {
+        blocks.push(lines.join('\n'));
+      }
+    });
+
+    return blocks.join('\n\n') + '\n';
+  }
+
+  formatSection(key, data) {
+    const lines = [];
+    const heading = `## ${this.escape(this.getHeading(key, data))}`;
+
+    switch (key) {
+      case 'summary':
+        if (data.summary) {
+          lines.push(heading, '', this.escape(data.summary));
+        }
+        break;
+      case 'experience':
+        (data.experience || []).forEach((exp, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push('', `### ${this.joinParts(exp.title, exp.company, ' — ')}`);
+          this.pushDetails(lines, [exp.location, exp.duration]);
+          this.pushBullets(lines, exp.highlights);
+        });
+        break;
+      case 'education':
+        (data.education || []).forEach((edu, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push('', `### ${this.joinParts(edu.degree, edu.institution, ' — ')}`);
+          this.pushDetails(lines, [edu.location, edu.year, edu.gpa ? `GPA: ${edu.gpa}` : '']);
+          this.pushBullets(lines, edu.highlights);
+        });
+        break;
+      case 'projects':
+        (data.projects || []).forEach((proj, index) => {
+          if (index === 0) lines.push(heading);
+          lines.push('', `### ${this.escape(proj.name || 'Project')}`);
+          if (proj.description) lines.push('', this.escape(proj.description));
+          if (proj.technologies) lines.push('', `**Technologies:** ${this.escape(proj.technologies)}`);
+        });
+        break;
+      case 'skills':
+        if (Array.isArray(data.skills) && data.skills.length > 0) {
+          lines.push(heading, '', data.skills.map(skill => this.escape(skill)).join(', '));
+        }
+        break;
+      case 'certifications':
+        if (Array.isArray(data.certifications) && data.certifications.length > 0) {
+          lines.push(heading);
+          this.pushBullets(lines, data.certifications);
+        }
+        break;
+      default:
+        break;
+    }
+
+    return lines;
+  }
+
+  // Section heading in the resume's language (see utils/resumeLocale), English otherwise
+  getHeading(key, data) {
+    const { headings } = ResumeLocale.resolve(data.language);
+    return (headings && headings[key]) || SECTION_HEADINGS[key];
+  }
+
+  formatCustomSection(section) {
+    const lines = [`## ${this.escape(section.title)}`];
+
+    section.entries.forEach(entry => {
+      if (entry.title) lines.push('', `### ${this.escape(entry.title)}`);
+      this.pushDetails(lines, [entry.subtitle, entry.date]);
+      if (entry.description) lines.push('', this.escape(entry.description));
+    });
+
+    return lines;
+  }
+
+  buildContactLine(info) {
+    return [
+      this.escape(info.location),
+      info.email ? `[${this.escape(info.email)}](mailto:${info.email})` : '',
+      this.escape(info.phone),
+      this.buildLink(info.linkedin),
+      this.buildLink(info.portfolio)
+    ].filter(Boolean).join(' · ');
+  }
+
+  // "https://github.com/jane" -> "[github.com/jane](https://github.com/jane)"
+  buildLink(url) {
+    if (!url) return '';
+
+    const label = url.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+    const href = /^https?:\/\//i.test(url) ? url : `https://${url}`;
+    return `[${this.escape(label)}](${href.replace(/[()\s]/g, encodeURIComponent)})`;
+  }
+
+  // Italic line of the non-empty parts, e.g. "_London | Jan 2020 - Present_"
+  pushDetails(lines, parts) {
+    const details = parts.filter(Boolean).map(part => this.escape(part)).join(' | ');
+    if (details) lines.push(`_${details}_`);
+  }
+
+  pushBullets(lines, items = []) {
+    if (items.length > 0) {
+      lines.push('', ...items.map(item => `- ${this.escape(item)}`));
+    }
+  }
+
+  joinParts(first, second, separator) {
+    return [first, second].filter(Boolean).map(part => this.escape(part)).join(separator);
+  }
+
+  escape(text) {
+    if (!text) return '';
+    return String(text).replace(MARKDOWN_SPECIAL, '\\$&');
+  }
+}
+
+module.exports = new MarkdownService();
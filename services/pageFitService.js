@@ -0,0 +1,199 @@
+const browserManager = require('./browserManager');
+const pdfService = require('./pdfService');
+const templateRegistry = require('./templateRegistry');
+const ResumeTheme = require('../utils/resumeTheme');
+
+// Paper sizes in CSS pixels (96 per inch)
+const PAGE_SIZES = {
+  A4: { width: 793.7, height: 1122.5 },
+  Letter: { width: 816, height: 1056 }
+};
+
+const PIXELS_PER_UNIT = { px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+const MAX_FIT_PAGES = 5;
+const MAX_FIT_ATTEMPTS = 24;
+
+// Fitting shrinks one setting per attempt, cycling spacing -> font size -> page margin
+const FIT_STEPS = [
+  { key: 'lineHeight', step: 0.1 },
+  { key: 'baseFontSize', step: 0.5 },
+  { key: 'margin', step: 8 }
+];
+
+/**
+ * Page Fit Service
+ * Lays a resume out in the shared Puppeteer browser at the printable page size to
+ * estimate how many pages the PDF will have and which sections run past the target
+ */
+class PageFitService {
+  /**
+   * Read the page target from a request body
+   * @param {Object} body - { fitToPages } where fitToPages enables fitting to that many pages
+   * @returns {{ options?: { targetPages: number, fit: boolean }, error?: string }}
+   */
+  parseFitOptions(body = {}) {
+    if (body.fitToPages === undefined || body.fitToPages === null || body.fitToPages === '') {
+      return { options: { targetPages: 1, fit: false } };
+    }
+
+    const targetPages = Number(body.fitToPages);
+    if (!Number.isInteger(targetPages) || targetPages < 1 || targetPages > MAX_FIT_PAGES) {
+      return { error: `fitToPages must be a whole number between 1 and ${MAX_FIT_PAGES}` };
+    }
+
+    return { options: { targetPages, fit: true } };
+  }
+
+  /**
+   * Measure the rendered resume against the page size
+   * @param {Object} resumeData - Validated resume JSON
+   * @param {string} templateName - Template to render
+   * @param {Object} options - { format, margin } page options (see pdfService.normalizePdfOptions)
+   * @param {Object} theme - Normalized theme
+   * @param {number} targetPages - Page count the resume should fit in
+   * @returns {Promise<Object>} - Page count, overflow and per-section heights
+   */
+  async measure(resumeData, templateName = 'resume-template', options = {}, theme = {}, targetPages = 1) {
+    return this.withPage(options, (page, pageSize) =>
+      this.measureOnPage(page, pageSize, resumeData, templateName, theme, targetPages)
+    );
+  }
+
+  /**
+   * Step the theme's line height, font size and margin down (within
+   * ResumeTheme.THEME_LIMITS) until the resume fits in targetPages
+   * @returns {Promise<Object>} - Measurement of the final attempt plus the theme that produced it
+   */
+  async fitToPages(resumeData, templateName = 'resume-template', options = {}, theme = {}, targetPages = 1) {
+    const template = await templateRegistry.resolveTemplate(templateName);
+
+    return this.withPage(options, async (page, pageSize) => {
+      const sizes = ResumeTheme.resolveSizes(theme, template.themeDefaults);
+      let currentTheme = { ...theme };
+      let layout = await this.measureOnPage(page, pageSize, resumeData, templateName, currentTheme, targetPages);
+      let attempts = 0;
+      let stepIndex = 0;
+
+      while (!layout.fits && attempts < MAX_FIT_ATTEMPTS) {
+        const adjustment = this.nextAdjustment(sizes, stepIndex);
+        if (!adjustment) {
+          break; // Every setting is already at its minimum
+        }
+
+        sizes[adjustment.key] = adjustment.value;
+        stepIndex = adjustment.stepIndex + 1;
+        attempts++;
+
+        currentTheme = { ...theme, ...sizes };
+        layout = await this.measureOnPage(page, pageSize, resumeData, templateName, currentTheme, targetPages);
+      }
+
+      return {
+        ...layout,
+        theme: currentTheme,
+        adjusted: attempts > 0
+      };
+    });
+  }
+
+  /**
+   * Next setting that can still shrink, starting at stepIndex in FIT_STEPS
+   * @returns {{ key: string, value: number, stepIndex: number }|null}
+   */
+  nextAdjustment(sizes, stepIndex) {
+    for (let offset = 0; offset < FIT_STEPS.length; offset++) {
+      const index = (stepIndex + offset) % FIT_STEPS.length;
+      const { key, step } = FIT_STEPS[index];
+      const { min } = ResumeTheme.THEME_LIMITS[key];
+
+      if (sizes[key] > min) {
+        return {
+          key,
+          value: ResumeTheme.round(Math.max(min, sizes[key] - step)),
+          stepIndex: index
+        };
+      }
+    }
+
+    return null;
+  }
+
+  async withPage(options, callback) {
+    const { format, margin } = pdfService.normalizePdfOptions(options);
+    const paper = PAGE_SIZES[format];
+
+    // The printable area is what Chromium lays the document out in when printing
+    const pageSize = {
+      format,
+      width: paper.width - this.toPixels(margin.left) - this.toPixels(margin.right),
+      height: paper.height - this.toPixels(margin.top) - this.toPixels(margin.bottom)
+    };
+
+    const browser = await browserManager.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      await page.setViewport({ width: Math.floor(pageSize.width), height: Math.floor(pageSize.height) });
+      await page.emulateMediaType('print');
+
+      return await callback(page, pageSize);
+    } catch (error) {
+      throw new Error(`Failed to measure resume layout: ${error.message}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async measureOnPage(page, pageSize, resumeData, templateName, theme, targetPages) {
+    const html = await pdfService.generateResumeHTML(resumeData, templateName, theme);
+
+    await pdfService.setPageContent(page, html, templateName);
+    await page.evaluate(() => document.fonts.ready);
+
+    const { height, sections } = await page.evaluate(() => {
+      const offset = window.scrollY;
+      const bottoms = Array.from(document.body.children).map(el => el.getBoundingClientRect().bottom);
+
+      return {
+        height: Math.max(0, ...bottoms) + offset,
+        sections: Array.from(document.querySelectorAll('[data-section]')).map(el => {
+          const rect = el.getBoundingClientRect();
+          return { key: el.dataset.section, top: rect.top + offset, bottom: rect.bottom + offset };
+        })
+      };
+    });
+
+    const limit = pageSize.height * targetPages;
+    const pageCount = Math.max(1, Math.ceil(height / pageSize.height));
+
+    return {
+      format: pageSize.format,
+      pageHeight: Math.round(pageSize.height),
+      contentHeight: Math.round(height),
+      pageCount,
+      targetPages,
+      fits: pageCount <= targetPages,
+      overflow: Math.max(0, Math.round(height - limit)),
+      sections: sections
+        .filter(section => section.bottom > section.top)
+        .map(section => ({
+          key: section.key,
+          height: Math.round(section.bottom - section.top),
+          // Part of the section that lands after the last target page
+          overflow: Math.round(Math.max(0, section.bottom - Math.max(section.top, limit)))
+        }))
+    };
+  }
+
+  // "0.4in" -> 38.4
+  toPixels(length) {
+    const match = String(length).match(/^(\d+(?:\.\d+)?)(px|in|cm|mm)$/);
+    return match ? Number(match[1]) * PIXELS_PER_UNIT[match[2]] : 0;
+  }
+}
+
+// Singleton instance
+const pageFitService = new PageFitService();
+
+module.exports = pageFitService;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ParseCache = require('../models/schemas/parseCacheSchema');
+const ParseCacheStats = require('../models/schemas/parseCacheStatsSchema');
+const geminiService = require('./geminiService');
+
+// Cached results are reused for this long after the first parse
+const CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Key of the single ParseCacheStats document
+const STATS_KEY = 'parse-cache';
+
+/**
+ * Parse Cache Service
+ * Results of resume parsing keyed by a hash of the uploaded bytes plus the
+ * requested parser and its prompt/rules version, so repeat uploads skip OCR
+ * and AI calls. Entries belong to one user and expire after CACHE_TTL_MS.
+ */
+class ParseCacheService {
+  /**
+   * Cache key for an upload; changes with the file content, parser or parser version
+   * @param {Buffer} buffer - Uploaded file
+   * @param {string} parser - One of geminiService.PARSERS
+   * @returns {{ cacheKey: string, fileHash: string, parserVersion: string }}
+   */
+  static buildKey(buffer, parser) {
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const parserVersion = geminiService.getParserVersion(parser);
+
+    return { cacheKey: `${fileHash}:${parser}:${parserVersion}`, fileHash, parserVersion };
+  }
+
+  /**
+   * Cached parse result for a user's upload, counting the lookup as a hit or miss
+   * @returns {Promise<Object|null>} - { resumeData, parsedWith, provenance } or null
+   */
+  static async lookup(userId, cacheKey) {
+    const entry = await ParseCache.findOneAndUpdate(
+      { userId, cacheKey, expiresAt: { $gt: new Date() } },
+      { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    await this.count(entry ? 'hits' : 'misses');
+
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Store a parse result; results that fell back from AI to the heuristic parser
+   * are not cached, so the next upload tries AI again
+   * @param {Object} job - Parse job with userId, cacheKey, parser and fileType
+   * @param {Object} parsed - Result of geminiService.parseResume
+   */
+  static async store(job, { resumeData, parsedWith, fallbackReason, provenance }) {
+    if (!job.cacheKey || fallbackReason) {
+      return;
+    }
+
+    const [fileHash, parser, parserVersion] = job.cacheKey.split(':');
+
+    await ParseCache.updateOne(
+      { userId: job.userId, cacheKey: job.cacheKey },
+      {
+        $set: {
+          fileHash,
+          parser,
+          parserVersion,
+          fileType: job.fileType,
+          data: { resumeData, parsedWith, provenance },
+          expiresAt: new Date(Date.now() + CACHE_TTL_MS)
+        },
+        $setOnInsert: { hitCount: 0 }
+      },
+      { upsert: true }
+    );
+
+    await this.count('stores');
+  }
+
+  // Add one to a persisted lookup counter (hits, misses or stores)
+  static async count(counter) {
+    await ParseCacheStats.updateOne(
+      { key: STATS_KEY },
+      { $inc: { [counter]: 1 }, $setOnInsert: { since: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Cache size and hit rates: totals of the entries currently cached, and lookups
+   * counted across all server processes since counting started
+   */
+  static async getStats() {
+    const [totals] = await ParseCache.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      {
+        $group: {
+          _id: null,
+          entries: { $sum: 1 },
+          users: { $addToSet: '$userId' },
+          totalHits: { $sum: '$hitCount' },
+          entriesHit: { $sum: { $cond: [{ $gt: ['$hitCount', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const byParser = await ParseCache.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$parser', entries: { $sum: 1 }, hits: { $sum: '$hitCount' } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const counters = await ParseCacheStats.findOne({ key: STATS_KEY }).lean()
+      || { hits: 0, misses: 0, stores: 0, since: null };
+    const lookups = counters.hits + counters.misses;
+
+    return {
+      entries: totals ? totals.entries : 0,
+      users: totals ? totals.users.length : 0,
+      totalHits: totals ? totals.totalHits : 0,
+      entriesHit: totals ? totals.entriesHit : 0,
+      byParser: byParser.map(group => ({ parser: group._id, entries: group.entries, hits: group.hits })),
+      lookups: {
+        since: counters.since,
+        hits: counters.hits,
+        misses: counters.misses,
+        stores: counters.stores,
+        hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+      },
+      ttlDays: CACHE_TTL_MS / (24 * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Delete cached results, all of them or one user's
+   * @param {Object} filter - { userId } to purge one user only
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  static async purge({ userId } = {}) {
+    const query = userId ? { userId: new mongoose.Types.ObjectId(userId) } : {};
+    const result = await ParseCache.deleteMany(query);
+    return result.deletedCount;
+  }
+}
+
+ParseCacheService.CACHE_TTL_MS = CACHE_TTL_MS;
+
+module.exports = ParseCacheService;
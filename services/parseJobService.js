@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const ParseJob = require('../models/schemas/parseJobSchema');
+
+// Finished jobs (and their results) are kept this long for polling clients
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+// Queued or running jobs one user may have at a time
+const MAX_ACTIVE_JOBS_PER_USER = 3;
+// A job whose worker has not reported progress for this long is considered abandoned
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// Jobs interrupted this many times (e.g. by crashes during OCR) are failed instead of retried
+const MAX_ATTEMPTS = 3;
+
+const ACTIVE_STATUSES = ['queued', 'processing'];
+
+const STAGE_MESSAGES = {
+  queued: () => 'Waiting to start',
+  extracting: () => 'Extracting text',
+  ocr: progress => (progress && progress.total ? `OCR page ${progress.current}/${progress.total}` : 'Running OCR'),
+  ai_parsing: (progress, job) => (job.parser === 'heuristic' ? 'Parsing resume' : 'Parsing with AI'),
+  done: () => 'Finished'
+};
+
+/**
+ * Parse Job Service
+ * MongoDB-backed queue of resume uploads processed by the background worker
+ * (services/parseJobWorker). Only the worker holding a job's lock may update it,
+ * so a cancelled or taken-over job cannot be overwritten by a stale worker.
+ */
+class ParseJobService {
+  /**
+   * Queue an uploaded resume for parsing
+   * @param {string} userId - Owner's user ID
+   * @param {Object} file - { buffer, originalname } from multer
+   * @param {string} fileType - Sniffed type (see utils/resumeFileType)
+   * @param {Object} options - { mode: 'standard' or 'dynamic', parser: 'auto', 'ai' or 'heuristic'
+   *   (see geminiService.parseResume), cacheKey: where the worker caches the result }
+   * @returns {Promise<Object>} - The created job
+   */
+  static async createJob(userId, file, fileType, { mode = 'standard', parser = 'auto', cacheKey } = {}) {
+    return ParseJob.create({
+      jobId: crypto.randomBytes(12).toString('hex'),
+      userId,
+      mode,
+      parser,
+      cacheKey,
+      fileType,
+      fileName: file.originalname || '',
+      file: file.buffer,
+      expiresAt: new Date(Date.now() + JOB_RETENTION_MS)
+    });
+  }
+
+  /**
+   * Record an upload answered from the parse cache as an already completed job,
+   * so clients can treat it like any other upload
+   * @param {Object} cached - { resumeData, parsedWith, provenance } from the parse cache
+   */
+  static async createCachedJob(userId, file, fileType, { mode = 'standard', parser = 'auto' } = {}, cached) {
+    const now = new Date();
+
+    return ParseJob.create({
+      jobId: crypto.randomBytes(12).toString('hex'),
+      userId,
+      mode,
+      parser,
+      cached: true,
+      fileType,
+      fileName: file.originalname || '',
+      status: 'completed',
+      stage: 'done',
+      result: this.buildResult(mode, cached.resumeData),
+      parsedWith: cached.parsedWith,
+      provenance: cached.provenance,
+      startedAt: now,
+      completedAt: now,
+      expiresAt: new Date(now.getTime() + JOB_RETENTION_MS)
+    });
+  }
+
+  static async countActiveJobs(userId) {
+    return ParseJob.countDocuments({ userId, status: { $in: ACTIVE_STATUSES } });
+  }
+
+  static async getJob(userId, jobId) {
+    return ParseJob.findOne({ userId, jobId }).select('-file').lean();
+  }
+
+  /**
+   * Cancel a queued or running job; a running worker stops at its next progress report
+   * @returns {Promise<Object|null>} - The cancelled job, or null when it is missing or already finished
+   */
+  static async cancelJob(userId, jobId) {
+    return ParseJob.findOneAndUpdate(
+      { userId, jobId, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: 'cancelled', completedAt: new Date() }, $unset: { file: 1 } },
+      { new: true }
+    ).select('-file').lean();
+  }
+
+  /**
+   * Lock the oldest queued job, or a running job whose worker went away
+   * @param {string} workerId - Claiming worker
+   * @returns {Promise<Object|null>} - The claimed job document; `file` is a Buffer
+   */
+  static async claimNextJob(workerId) {
+    const now = new Date();
+
+    return ParseJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued' },
+          { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', stage: 'extracting', workerId, lockedAt: now, startedAt: now },
+        $unset: { progress: 1 },
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Record the current stage and refresh the worker's lock
+   * @returns {Promise<boolean>} - false when the job was cancelled or taken over
+   */
+  static async updateProgress(jobId, workerId, stage, progress) {
+    const update = { $set: { stage, lockedAt: new Date() } };
+
+    if (progress) {
+      update.$set.progress = progress;
+    } else {
+      update.$unset = { progress: 1 };
+    }
+
+    const result = await ParseJob.updateOne({ jobId, workerId, status: 'processing' }, update);
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * @param {Object} parsing - { parsedWith, fallbackReason, provenance } from geminiService.parseResume
+   */
+  static async completeJob(jobId, workerId, result, { parsedWith, fallbackReason, provenance } = {}) {
+    return this.finishJob(jobId, workerId, {
+      status: 'completed',
+      stage: 'done',
+      result,
+      ...(parsedWith ? { parsedWith } : {}),
+      ...(provenance ? { provenance } : {}),
+      ...(fallbackReason ? { fallbackReason } : {})
+    });
+  }
+
+  static async failJob(jobId, workerId, message) {
+    return this.finishJob(jobId, workerId, { status: 'failed', error: message });
+  }
+
+  static async finishJob(jobId, workerId, fields) {
+    const result = await ParseJob.updateOne(
+      { jobId, workerId, status: 'processing' },
+      {
+        $set: { ...fields, completedAt: new Date(), expiresAt: new Date(Date.now() + JOB_RETENTION_MS) },
+        $unset: { file: 1, progress: 1 }
+      }
+    );
+
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Parsed resume data in the shape the upload mode returns
+   */
+  static buildResult(mode, parsedResumeData) {
+    return mode === 'dynamic' ? this.toDynamicResumeData(parsedResumeData) : parsedResumeData;
+  }
+
+  // DynamicResumeEditor structure with id fields
+  static toDynamicResumeData(parsedResumeData) {
+    return {
+      personalInfo: {
+        name: parsedResumeData.personalInfo?.name || '',
+        email: parsedResumeData.personalInfo?.email || '',
+        phone: parsedResumeData.personalInfo?.phone || '',
+        linkedin: parsedResumeData.personalInfo?.linkedin || ''
+      },
+      summary: parsedResumeData.summary || '',
+      skills: parsedResumeData.skills || [],
+      education: (parsedResumeData.education || []).map((edu, idx) => ({
+        id: `edu-${Date.now()}-${idx}`,
+        institution: edu.institution || '',
+        degree: edu.degree || '',
+        location: edu.location || '',
+        startDate: edu.startDate || '',
+        endDate: edu.endDate || '',
+        year: edu.year || '',
+        highlights: edu.highlights || []
+      })),
+      experience: (parsedResumeData.experience || []).map((exp, idx) => ({
+        id: `exp-${Date.now()}-${idx}`,
+        title: exp.title || '',
+        company: exp.company || '',
+        location: exp.location || '',
+        startDate: exp.startDate || '',
+        endDate: exp.endDate || '',
+        duration: exp.duration || '',
+        highlights: exp.highlights || []
+      })),
+      projects: (parsedResumeData.projects || []).map((proj, idx) => ({
+        id: `proj-${Date.now()}-${idx}`,
+        name: proj.name || '',
+        description: proj.description || '',
+        technologies: proj.technologies || ''
+      })),
+      certifications: parsedResumeData.certifications || []
+    };
+  }
+
+  /**
+   * Job status for clients; the result is only included once the job has completed
+   */
+  static toView(job) {
+    return {
+      jobId: job.jobId,
+      mode: job.mode,
+      fileType: job.fileType,
+      fileName: job.fileName,
+      status: job.status,
+      stage: job.stage,
+      stageMessage: STAGE_MESSAGES[job.stage](job.progress, job),
+      progress: job.progress && job.progress.total ? job.progress : null,
+      parser: job.parser,
+      cached: !!job.cached,
+      ...(job.status === 'completed' ? {
+        result: job.result,
+        parsedWith: job.parsedWith,
+        fallbackReason: job.fallbackReason,
+        provenance: job.provenance
+      } : {}),
+      ...(job.status === 'failed' ? { error: job.error } : {}),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+ParseJobService.MAX_ACTIVE_JOBS_PER_USER = MAX_ACTIVE_JOBS_PER_USER;
+ParseJobService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = ParseJobService;
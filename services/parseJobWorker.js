@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const os = require('os');
+const pdfParserService = require('./pdfParserService');
+const geminiService = require('./geminiService');
+const ParseJobService = require('./parseJobService');
+const ParseCacheService = require('./parseCacheService');
+const ResumeFileType = require('../utils/resumeFileType');
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Parse Job Worker
+ * Polls the parse job queue and runs one job at a time (OCR is CPU-bound):
+ * text extraction, OCR page by page, then AI parsing (or the heuristic parser when
+ * requested or when AI fails). Progress is written back
+ * to the job, and a cancelled job is abandoned at the next progress report.
+ */
+class ParseJobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.running = false;
+    this.timer = null;
+    this.currentJob = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling; a job in progress is picked up again by the next worker once its lock expires
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Check for work now instead of at the next poll (called after a job is queued)
+  wake() {
+    if (this.running && !this.currentJob) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  async poll() {
+    if (!this.running || this.currentJob) {
+      return;
+    }
+
+    let job = null;
+
+    try {
+      job = await ParseJobService.claimNextJob(this.workerId);
+
+      if (job) {
+        this.currentJob = job;
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ Parse job worker error:', error.message);
+    } finally {
+      this.currentJob = null;
+    }
+
+    if (this.running) {
+      // Drain the queue without waiting while there is work
+      this.schedule(job ? 0 : POLL_INTERVAL_MS);
+    }
+  }
+
+  async processJob(job) {
+    const { jobId } = job;
+
+    if (job.attempts > ParseJobService.MAX_ATTEMPTS) {
+      await ParseJobService.failJob(jobId, this.workerId, 'Processing was interrupted too many times');
+      return;
+    }
+
+    const report = async (stage, progress) => {
+      const active = await ParseJobService.updateProgress(jobId, this.workerId, stage, progress);
+      if (!active) {
+        throw new Error('Job was cancelled');
+      }
+    };
+
+    try {
+      const fileType = ResumeFileType.FILE_TYPES[job.fileType];
+
+      const { text: extractedText, ocrConfidence } = await pdfParserService.extractText(job.file, job.fileType, {
+        onProgress: ({ stage, current, total }) => report(stage, { current, total })
+      });
+
+      if (!extractedText || extractedText.trim().length === 0) {
+        await ParseJobService.failJob(jobId, this.workerId,
+          `Could not extract text from the ${fileType.label}. Please try a different file.`);
+        return;
+      }
+
+      await report('ai_parsing');
+      const parsed = await geminiService.parseResume(extractedText, job.parser, { ocrConfidence });
+      const { resumeData, parsedWith, fallbackReason, provenance } = parsed;
+
+      try {
+        await ParseCacheService.store(job, parsed);
+      } catch (error) {
+        // The job still succeeds; the next upload of this file is just parsed again
+        console.error(`❌ Failed to cache parse result for job ${jobId}:`, error.message);
+      }
+
+      // Has no effect when the job was cancelled while the AI call was running
+      await ParseJobService.completeJob(jobId, this.workerId, ParseJobService.buildResult(job.mode, resumeData), {
+        parsedWith,
+        fallbackReason,
+        provenance
+      });
+    } catch (error) {
+      await ParseJobService.failJob(jobId, this.workerId, error.message);
+    }
+  }
+}
+
+// Singleton instance
+const parseJobWorker = new ParseJobWorker();
+
+module.exports = parseJobWorker;
@@ -1,32 +1,61 @@
 const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
 const { pdf } = require('pdf-to-img');
+const JSZip = require('jszip');
+
+// Decompressed size cap for a single part of a DOCX, against ZIP bombs
+const MAX_DOCX_PART_SIZE = 10 * 1024 * 1024;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Run Tesseract OCR on a PNG or JPEG image
+ * @param {Buffer} image - Image buffer
+ * @returns {Promise<{ text: string, confidence: number }>} - Recognised text and Tesseract's confidence (0-100)
+ */
+async function recognizeImage(image) {
+  const { data: { text, confidence } } = await Tesseract.recognize(
+    image,
+    'eng'
+  );
+
+  return { text, confidence };
+}
+
+// Extraction result; ocrConfidence (0-1) is set when the text was read by OCR and may contain misreadings
+const toExtraction = (text, ocrConfidence = null) => ({ text, ocrConfidence });
+
+// Progress reporting is optional; a callback may throw to stop the extraction (e.g. a cancelled job)
+const noProgress = async () => {};
 
 /**
  * Extract text from image-based PDF using Tesseract OCR
  * @param {Buffer} pdfBuffer - PDF file buffer
- * @returns {Promise<string>} - Extracted text
+ * @param {Object} options - { onProgress({ stage: 'ocr', current, total }) } called before each page
+ * @returns {Promise<{ text: string, ocrConfidence: number }>} - Extracted text; confidence averaged over pages
  */
-async function extractTextWithOCR(pdfBuffer) {
+async function extractTextWithOCR(pdfBuffer, { onProgress = noProgress } = {}) {
   try {
     // Convert PDF to images
     const document = await pdf(pdfBuffer, { scale: 2.0 });
     
     let allText = '';
     let pageNum = 1;
+    let confidenceTotal = 0;
     
     for await (const image of document) {
+      await onProgress({ stage: 'ocr', current: pageNum, total: document.length });
+
       // Perform OCR on the image
-      const { data: { text } } = await Tesseract.recognize(
-        image,
-        'eng'
-      );
+      const { text, confidence } = await recognizeImage(image);
       
       allText += text + '\n\n';
+      confidenceTotal += confidence;
       pageNum++;
     }
     
-    return allText.trim();
+    const pages = pageNum - 1;
+    return toExtraction(allText.trim(), pages ? confidenceTotal / pages / 100 : 0);
     
   } catch (error) {
     throw new Error(`OCR failed: ${error.message}`);
@@ -36,9 +65,10 @@ async function extractTextWithOCR(pdfBuffer) {
 /**
  * Extract text from a PDF file (supports both text-based and image-based PDFs)
  * @param {Buffer} pdfBuffer - PDF file buffer
- * @returns {Promise<string>} - Extracted text
+ * @param {Object} options - { onProgress } for OCR pages (see extractTextWithOCR)
+ * @returns {Promise<{ text: string, ocrConfidence: ?number }>} - Extracted text
  */
-async function extractTextFromPDF(pdfBuffer) {
+async function extractTextFromPDF(pdfBuffer, options = {}) {
   try {
     // First try standard text extraction
     const data = await pdfParse(pdfBuffer);
@@ -46,10 +76,10 @@ async function extractTextFromPDF(pdfBuffer) {
     
     // If text extraction yields very little content (likely image-based PDF), use OCR
     if (!extractedText || extractedText.length < 50) {
-      return await extractTextWithOCR(pdfBuffer);
+      return await extractTextWithOCR(pdfBuffer, options);
     }
     
-    return extractedText;
+    return toExtraction(extractedText);
   } catch (error) {
     // If standard extraction failed, try OCR as fallback
     if (error.message.includes('OCR failed')) {
@@ -57,13 +87,138 @@ async function extractTextFromPDF(pdfBuffer) {
     }
     
     try {
-      return await extractTextWithOCR(pdfBuffer);
+      return await extractTextWithOCR(pdfBuffer, options);
     } catch (ocrError) {
       throw new Error(`Failed to extract text from PDF: ${ocrError.message}`);
     }
   }
 }
 
+/**
+ * Extract text from a photo or scan of a resume (PNG or JPEG) using Tesseract OCR
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {Object} options - { onProgress } called once before OCR starts
+ * @returns {Promise<{ text: string, ocrConfidence: number }>} - Extracted text
+ */
+async function extractTextFromImage(imageBuffer, { onProgress = noProgress } = {}) {
+  await onProgress({ stage: 'ocr', current: 1, total: 1 });
+
+  try {
+    const { text, confidence } = await recognizeImage(imageBuffer);
+    return toExtraction(text.trim(), confidence / 100);
+  } catch (error) {
+    throw new Error(`OCR failed: ${error.message}`);
+  }
+}
+
+/**
+ * Read one part of a DOCX package, aborting once it decompresses past MAX_DOCX_PART_SIZE
+ * @param {Object} file - JSZip file entry
+ * @returns {Promise<string>} - Part contents
+ */
+function readDocxPart(file) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_DOCX_PART_SIZE) {
+        // Stop inflating and let go of what was read so far
+        stream.removeAllListeners('data');
+        stream.destroy();
+        chunks.length = 0;
+        reject(new Error(`${file.name} is too large`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Plain text of a WordprocessingML part: one line per paragraph, list items as bullets
+ * @param {string} xml - word/document.xml, a header or a footer
+ * @returns {string}
+ */
+function wordXmlToText(xml) {
+  return xml
+    // Text boxes are stored twice (DrawingML and a VML fallback); deleted revisions and field codes are not content
+    .replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '')
+    .replace(/<w:del\b[\s\S]*?<\/w:del>/g, '')
+    .replace(/<w:instrText\b[\s\S]*?<\/w:instrText>/g, '')
+    .replace(/<w:numPr>/g, '• ')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<w:(?:br|cr)\/>/g, '\n')
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, decimal, name) => {
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      return XML_ENTITIES[name] || entity;
+    })
+    .split('\n')
+    .map(line => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Extract text from a Word document (.docx)
+ * Headers come first since they often hold the name and contact details
+ * @param {Buffer} docxBuffer - DOCX file buffer
+ * @returns {Promise<{ text: string, ocrConfidence: null }>} - Extracted text
+ */
+async function extractTextFromDOCX(docxBuffer) {
+  try {
+    const zip = await JSZip.loadAsync(docxBuffer);
+    const document = zip.file('word/document.xml');
+
+    if (!document) {
+      throw new Error('word/document.xml is missing');
+    }
+
+    const headers = zip.file(/^word\/header\d*\.xml$/).sort((a, b) => a.name.localeCompare(b.name, 'en', { numeric: true }));
+    const parts = [...headers, document];
+    const texts = [];
+
+    for (const part of parts) {
+      texts.push(wordXmlToText(await readDocxPart(part)));
+    }
+
+    return toExtraction(texts.join('\n').trim());
+  } catch (error) {
+    throw new Error(`Failed to extract text from DOCX: ${error.message}`);
+  }
+}
+
+/**
+ * Extract text from an uploaded resume of a sniffed type (see utils/resumeFileType)
+ * @param {Buffer} buffer - File buffer
+ * @param {string} type - 'pdf', 'docx', 'png' or 'jpeg'
+ * @param {Object} options - { onProgress } for OCR progress
+ * @returns {Promise<{ text: string, ocrConfidence: ?number }>} - Extracted text; ocrConfidence (0-1) only for OCR
+ */
+async function extractText(buffer, type, options = {}) {
+  switch (type) {
+    case 'pdf':
+      return extractTextFromPDF(buffer, options);
+    case 'docx':
+      return extractTextFromDOCX(buffer);
+    case 'png':
+    case 'jpeg':
+      return extractTextFromImage(buffer, options);
+    default:
+      throw new Error(`Unsupported file type: ${type}`);
+  }
+}
+
 module.exports = {
-  extractTextFromPDF
+  extractText,
+  extractTextFromPDF,
+  extractTextFromDOCX,
+  extractTextFromImage
 };
@@ -1,40 +1,194 @@
 const handlebars = require('handlebars');
 const fs = require('fs').promises;
-const path = require('path');
+const browserManager = require('./browserManager');
+const templateRegistry = require('./templateRegistry');
+const CustomTemplateService = require('./customTemplateService');
+const ResumeTheme = require('../utils/resumeTheme');
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeLocale = require('../utils/resumeLocale');
+const TemplateHelpers = require('../utils/templateHelpers');
+
+const PAGE_FORMATS = ['A4', 'Letter'];
+const MARGIN_PATTERN = /^\d+(\.\d+)?(px|in|cm|mm)$/;
+const DEFAULT_MARGIN = '0.4in';
+
+// Pages already locked down for untrusted templates (a page may be reused for several renders)
+const sandboxedPages = new WeakSet();
+
+// Date, list, link and text formatting helpers shared by all templates
+TemplateHelpers.register(handlebars);
 
 class PDFService {
-  async generateResumeHTML(resumeData, templateName = 'resume-template') {
+  /**
+   * Render resume data through a Handlebars template
+   * @param {Object} resumeData - Resume JSON passed to the template
+   * @param {string|Object} templateName - Template to render, or a resolved registry entry
+   * @param {Object} theme - Normalized theme (see utils/resumeTheme), applied as CSS variables
+   * @returns {Promise<string>} - HTML document
+   */
+  async generateResumeHTML(resumeData, templateName = 'resume-template', theme = {}) {
+    let selectedTemplate = null;
+
     try {
-      // Validate template name to prevent path traversal
-      const validTemplates = [
-        'resume-template',
-        'resume-template-minimalist',
-        'resume-template-two-column',
-        'resume-template-executive',
-        'resume-template-skills-first',
-        'resume-template-creative'
-      ];
-
-      const selectedTemplate = validTemplates.includes(templateName) 
-        ? templateName 
-        : 'resume-template';
+      // Only registered templates can be rendered (prevents path traversal);
+      // user-uploaded templates arrive as entries resolved by templateRegistry.resolveForUser
+      selectedTemplate = await templateRegistry.resolveTemplate(templateName);
 
       // Read the selected Handlebars template
-      const templatePath = path.join(__dirname, `../templates/${selectedTemplate}.hbs`);
-      
-      const templateSource = await fs.readFile(templatePath, 'utf-8');
-      
+      const templateSource = selectedTemplate.isCustom
+        ? selectedTemplate.source
+        : await fs.readFile(selectedTemplate.path, 'utf-8');
+
       // Compile the template
       const template = handlebars.compile(templateSource);
-      
-      // Generate HTML with data
-      const html = template(resumeData);
-      
-      return html;
+
+      const data = ResumeNormalizer.normalize(resumeData);
+
+      // Generate HTML with data; templates render `sections` in order, put themeStyle on their root
+      // element and read lang/dir/headings for the resume's language
+      const html = template({
+        ...ResumeSections.buildRenderContext(data, selectedTemplate),
+        ...ResumeLocale.resolve(data.language),
+        themeStyle: ResumeTheme.buildStyle(theme, selectedTemplate.themeDefaults)
+      });
+
+      // Custom templates get their stylesheet and a CSP that blocks every external request
+      return selectedTemplate.isCustom ? CustomTemplateService.wrapRendered(html, selectedTemplate.css) : html;
     } catch (error) {
+      // Authors of custom templates need the Handlebars error to fix their template
+      if (selectedTemplate && selectedTemplate.isCustom) {
+        throw new Error(`Failed to render template: ${error.message}`);
+      }
       throw new Error('Failed to generate HTML preview');
     }
   }
+
+  /**
+   * Load rendered resume HTML into a Puppeteer page
+   * Custom templates are untrusted: the page gets no JavaScript and every request
+   * other than data: URIs is aborted, on top of the CSP in the document
+   * @param {Page} page - Puppeteer page
+   * @param {string} html - Output of generateResumeHTML
+   * @param {string|Object} templateName - Template the HTML was rendered with
+   */
+  async setPageContent(page, html, templateName) {
+    if (templateName && templateName.isCustom && !sandboxedPages.has(page)) {
+      sandboxedPages.add(page);
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.url().startsWith('data:')) {
+          request.continue();
+        } else {
+          request.abort();
+        }
+      });
+    }
+
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+  }
+
+  /**
+   * Validate and fill in defaults for PDF page options
+   * @param {Object} options - Raw options from the request
+   * @param {string} options.format - Page size (A4 or Letter)
+   * @param {string|Object} options.margin - CSS length for all sides, or { top, right, bottom, left }
+   * @returns {Object} - Options safe to pass to page.pdf()
+   */
+  normalizePdfOptions(options = {}) {
+    const format = PAGE_FORMATS.find(
+      f => f.toLowerCase() === String(options.format || 'A4').toLowerCase()
+    );
+
+    if (!format) {
+      throw new Error(`Invalid page format. Allowed formats: ${PAGE_FORMATS.join(', ')}`);
+    }
+
+    const rawMargin = options.margin !== undefined && options.margin !== ''
+      ? options.margin
+      : DEFAULT_MARGIN;
+
+    const sides = typeof rawMargin === 'object'
+      ? rawMargin
+      : { top: rawMargin, right: rawMargin, bottom: rawMargin, left: rawMargin };
+
+    const margin = {};
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const value = String(sides[side] !== undefined ? sides[side] : DEFAULT_MARGIN).trim();
+
+      if (!MARGIN_PATTERN.test(value)) {
+        throw new Error(`Invalid ${side} margin "${value}". Use a number with px, in, cm or mm`);
+      }
+
+      margin[side] = value;
+    }
+
+    return { format, margin };
+  }
+
+  /**
+   * Render a resume template to a PDF using the shared Puppeteer browser
+   * @param {Object} resumeData - Resume JSON passed to the template
+   * @param {string} templateName - Template to render
+   * @param {Object} options - Page options, see normalizePdfOptions()
+   * @param {Object} theme - Normalized theme
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  async generateResumePDF(resumeData, templateName = 'resume-template', options = {}, theme = {}) {
+    const pdfOptions = this.normalizePdfOptions(options);
+    const html = await this.generateResumeHTML(resumeData, templateName, theme);
+
+    const browser = await browserManager.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      await this.setPageContent(page, html, templateName);
+
+      // Make sure web fonts are loaded so Chromium embeds them in the PDF
+      await page.evaluate(() => document.fonts.ready);
+
+      const pdf = await page.pdf({
+        ...pdfOptions,
+        printBackground: true,
+        preferCSSPageSize: false
+      });
+
+      return Buffer.from(pdf);
+    } catch (error) {
+      throw new Error(`Failed to generate PDF: ${error.message}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Render the first page of a resume template to a PNG image
+   * @param {Object} resumeData - Resume JSON passed to the template
+   * @param {string} templateName - Template to render
+   * @param {Object} options - { width, height } of the page in CSS pixels, scale factor of the image
+   * @returns {Promise<Buffer>} - PNG image contents
+   */
+  async generateResumeImage(resumeData, templateName = 'resume-template', { width = 816, height = 1056, scale = 0.5 } = {}) {
+    const html = await this.generateResumeHTML(resumeData, templateName);
+
+    const browser = await browserManager.getBrowser();
+    const page = await browser.newPage();
+
+    try {
+      await page.setViewport({ width, height, deviceScaleFactor: scale });
+      await this.setPageContent(page, html, templateName);
+      await page.evaluate(() => document.fonts.ready);
+
+      const image = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width, height } });
+
+      return Buffer.from(image);
+    } catch (error) {
+      throw new Error(`Failed to generate image: ${error.message}`);
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
 }
 
 module.exports = new PDFService();
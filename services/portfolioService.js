@@ -0,0 +1,239 @@
+const handlebars = require('handlebars');
+const JSZip = require('jszip');
+const fs = require('fs').promises;
+const path = require('path');
+const Portfolio = require('../models/schemas/portfolioSchema');
+const ResumeTheme = require('../utils/resumeTheme');
+const ResumeSections = require('../utils/resumeSections');
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+const ResumeLocale = require('../utils/resumeLocale');
+const TemplateHelpers = require('../utils/templateHelpers');
+
+const PORTFOLIO_TEMPLATES_DIR = path.join(__dirname, '../templates/portfolio');
+
+const STYLESHEET_PATH = 'assets/style.css';
+const FEATURED_PROJECT_COUNT = 3;
+
+// Lowercase letters, digits and inner hyphens, 3-40 characters
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,38}[a-z0-9]$/;
+
+// Site pages in navigation order; a page is only generated when it has content.
+// Titles are replaced by the ResumeLocale heading of the same key for other languages.
+const PAGES = [
+  { file: 'index.html', template: 'index', heading: 'home', title: 'Home', hasContent: () => true },
+  {
+    file: 'projects.html',
+    template: 'projects',
+    heading: 'projects',
+    title: 'Projects',
+    hasContent: data => data.projects.length > 0
+  },
+  {
+    file: 'experience.html',
+    template: 'experience',
+    heading: 'experience',
+    title: 'Experience',
+    hasContent: data => data.experience.length > 0 || data.education.length > 0 || data.customSections.length > 0
+  }
+];
+
+/**
+ * Portfolio Service
+ * Builds a small static website from a resume with the Handlebars templates in
+ * templates/portfolio, packs it as a ZIP and manages sites published under a public slug
+ */
+class PortfolioService {
+  constructor() {
+    // Separate Handlebars environment so the layout partial doesn't leak into resume templates
+    this.handlebars = handlebars.create();
+    TemplateHelpers.register(this.handlebars);
+    this.templates = null;
+  }
+
+  /**
+   * Render every page of the site
+   * @param {Object} resumeData - Resume JSON
+   * @param {Object} theme - Normalized theme; the accent colour and font family are used
+   * @returns {Promise<Map<string, string>>} - File path within the site -> contents
+   */
+  async buildSite(resumeData, theme = {}) {
+    const templates = await this.loadTemplates();
+    const data = this.buildContext(resumeData);
+    const pages = PAGES
+      .filter(page => page.hasContent(data))
+      .map(page => ({ ...page, title: (data.headings && data.headings[page.heading]) || page.title }));
+    const files = new Map();
+
+    pages.forEach(page => {
+      files.set(page.file, templates[page.template]({
+        ...data,
+        pageTitle: page.title,
+        navigation: pages.map(({ file, title }) => ({ file, title, active: file === page.file }))
+      }));
+    });
+
+    files.set(STYLESHEET_PATH, templates.style({
+      themeStyle: ResumeTheme.buildStyle({ accentColor: theme.accentColor, fontFamily: theme.fontFamily })
+    }));
+
+    return files;
+  }
+
+  /**
+   * Build the site and pack it as a ZIP archive
+   * @returns {Promise<Buffer>} - ZIP file contents
+   */
+  async generateZip(resumeData, theme = {}) {
+    const files = await this.buildSite(resumeData, theme);
+    const zip = new JSZip();
+
+    files.forEach((content, filePath) => zip.file(filePath, content));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  // Template data: normalized resume without hidden sections, plus derived display values
+  buildContext(resumeData) {
+    const data = ResumeSections.buildRenderContext(ResumeNormalizer.normalize(resumeData || {}));
+    const info = data.personalInfo || {};
+    const projects = (data.projects || []).map(project => ({
+      ...project,
+      technologyList: String(project.technologies || '')
+        .split(/[,;|]/)
+        .map(tech => tech.trim())
+        .filter(Boolean)
+    }));
+    const experience = data.experience || [];
+
+    return {
+      ...data,
+      ...ResumeLocale.resolve(data.language),
+      isRtl: ResumeLocale.isRtl(data.language),
+      personalInfo: info,
+      headline: experience.length > 0 ? experience[0].title : '',
+      skills: data.skills || [],
+      projects,
+      featuredProjects: projects.slice(0, FEATURED_PROJECT_COUNT),
+      experience,
+      education: data.education || [],
+      certifications: data.certifications || [],
+      customSections: data.sections.filter(section => section.isCustom),
+      links: {
+        linkedin: this.toUrl(info.linkedin),
+        linkedinLabel: this.toLabel(info.linkedin),
+        portfolio: this.toUrl(info.portfolio),
+        portfolioLabel: this.toLabel(info.portfolio)
+      }
+    };
+  }
+
+  async loadTemplates() {
+    if (!this.templates) {
+      const read = name => fs.readFile(path.join(PORTFOLIO_TEMPLATES_DIR, name), 'utf-8');
+
+      this.handlebars.registerPartial('layout', await read('layout.hbs'));
+
+      const templates = {};
+      for (const page of PAGES) {
+        templates[page.template] = this.handlebars.compile(await read(`${page.template}.hbs`));
+      }
+      templates.style = this.handlebars.compile(await read('style.css.hbs'));
+
+      this.templates = templates;
+    }
+
+    return this.templates;
+  }
+
+  // Links must be absolute http(s) URLs so they work from any host
+  toUrl(value) {
+    if (!value) return '';
+    const url = /^https?:\/\//i.test(value) ? value : `https://${value}`;
+    return /^https?:\/\/[^\s"<>]+$/i.test(url) ? url : '';
+  }
+
+  toLabel(value) {
+    return String(value || '').replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '');
+  }
+
+  /**
+   * Validate an owner-chosen public slug
+   * @returns {{ slug?: string, error?: string }}
+   */
+  parseSlug(slug) {
+    const value = typeof slug === 'string' ? slug.trim().toLowerCase() : '';
+
+    if (!SLUG_PATTERN.test(value) || value.includes('--')) {
+      return { error: 'slug must be 3-40 lowercase letters, digits or single hyphens, starting and ending with a letter or digit' };
+    }
+
+    return { slug: value };
+  }
+
+  /**
+   * Publish a resume's portfolio under a slug, or move it to a new slug
+   * @returns {Promise<{ portfolio?: Object, conflict?: boolean }>} - conflict when another resume uses the slug
+   */
+  async publish(userId, resumeId, slug) {
+    const taken = await Portfolio.findOne({ slug }).lean();
+
+    if (taken && (String(taken.userId) !== String(userId) || taken.resumeId !== resumeId)) {
+      return { conflict: true };
+    }
+
+    try {
+      const portfolio = await Portfolio.findOneAndUpdate(
+        { userId, resumeId },
+        { $set: { slug } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      return { portfolio };
+    } catch (error) {
+      // Slug claimed by someone else between the lookup and the update
+      if (error.code === 11000) {
+        return { conflict: true };
+      }
+      throw error;
+    }
+  }
+
+  async unpublish(userId, resumeId) {
+    return Portfolio.findOneAndDelete({ userId, resumeId }).lean();
+  }
+
+  async findPublished(userId, resumeId) {
+    return Portfolio.findOne({ userId, resumeId }).lean();
+  }
+
+  async findBySlug(slug) {
+    return Portfolio.findOne({ slug }).lean();
+  }
+
+  async deletePortfolioForResume(userId, resumeId) {
+    await Portfolio.deleteMany({ userId, resumeId });
+  }
+
+  async recordView(portfolioId) {
+    await Portfolio.updateOne(
+      { _id: portfolioId },
+      { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Owner-facing view of a published portfolio
+   */
+  toOwnerView(portfolio, baseUrl) {
+    return {
+      slug: portfolio.slug,
+      url: `${baseUrl}/${portfolio.slug}/`,
+      viewCount: portfolio.viewCount || 0,
+      lastViewedAt: portfolio.lastViewedAt || null,
+      publishedAt: portfolio.createdAt,
+      updatedAt: portfolio.updatedAt
+    };
+  }
+}
+
+module.exports = new PortfolioService();
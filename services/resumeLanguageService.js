@@ -0,0 +1,208 @@
+const Resume = require('../models/schemas/resumeSchema');
+const AIProviderFactory = require('./ai/AIProviderFactory');
+const ResumeDataSchema = require('../utils/resumeDataSchema');
+const ResumeLocale = require('../utils/resumeLocale');
+
+// Fields sent for translation; everything else (contact details, company and
+// institution names, skills, technologies, dates) is kept as written
+const TRANSLATABLE_FIELDS = {
+  experience: ['title', 'location', 'highlights'],
+  education: ['degree', 'location', 'highlights'],
+  projects: ['description'],
+  customSections: ['title']
+};
+
+const CUSTOM_ENTRY_FIELDS = ['title', 'subtitle', 'description'];
+
+// Terms that must survive translation verbatim when they appear in a source text
+const PROTECTED_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+|https?:\/\/\S+|www\.\S+/gi;
+
+/**
+ * Resume Language Service
+ * Language variants of saved resumes and AI translation through the provider layer
+ */
+class ResumeLanguageService {
+  /**
+   * Language of a resume's primary content
+   */
+  static getPrimaryLanguage(resume) {
+    return ResumeLocale.resolve(resume.resumeData && resume.resumeData.language).lang;
+  }
+
+  /**
+   * Variant metadata of a resume, without the resume data
+   */
+  static listVariants(resume) {
+    return (resume.languageVariants || []).map(variant => ({
+      language: variant.language,
+      dir: ResumeLocale.resolve(variant.language).dir,
+      source: variant.source,
+      updatedAt: variant.updatedAt
+    }));
+  }
+
+  static findVariant(resume, language) {
+    return (resume.languageVariants || []).find(variant => variant.language === language) || null;
+  }
+
+  /**
+   * Resume data in the requested language: the primary content or a stored variant
+   * @param {Object} resume - Saved resume (lean)
+   * @param {string} [language] - Language code; omitted means the primary content
+   * @returns {Object|null} - Up-to-date resume data, or null when there is no such variant
+   */
+  static selectResumeData(resume, language) {
+    const code = ResumeLocale.normalizeLanguage(language);
+
+    if (!language || code === this.getPrimaryLanguage(resume)) {
+      return ResumeDataSchema.upgrade(resume.resumeData, resume.schemaVersion);
+    }
+
+    const variant = code && this.findVariant(resume, code);
+    return variant ? ResumeDataSchema.upgrade(variant.resumeData, variant.schemaVersion) : null;
+  }
+
+  /**
+   * Create or replace a language variant of a saved resume
+   * @param {string} userId - Owner's user ID
+   * @param {string} resumeId - Saved resume ID
+   * @param {string} language - Supported language code
+   * @param {Object} resumeData - Validated resume data
+   * @param {string} source - 'ai' for translations, 'manual' for user edits
+   * @returns {Promise<Object|null>} - The stored variant, or null when the resume does not exist
+   */
+  static async saveVariant(userId, resumeId, language, resumeData, source) {
+    const resume = await Resume.findOne({ userId, resumeId }).select('languageVariants').lean();
+
+    if (!resume) {
+      return null;
+    }
+
+    const variant = {
+      language,
+      resumeData: { ...resumeData, language },
+      schemaVersion: ResumeDataSchema.SCHEMA_VERSION,
+      source,
+      updatedAt: new Date()
+    };
+
+    const variants = (resume.languageVariants || []).filter(existing => existing.language !== language);
+    variants.push(variant);
+
+    await Resume.updateOne({ userId, resumeId }, { $set: { languageVariants: variants } });
+
+    return variant;
+  }
+
+  /**
+   * @returns {Promise<boolean>} - false when the resume or the variant does not exist
+   */
+  static async deleteVariant(userId, resumeId, language) {
+    const result = await Resume.updateOne(
+      { userId, resumeId, 'languageVariants.language': language },
+      { $pull: { languageVariants: { language } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Translate resume data with the configured AI provider
+   * Only free-text fields are sent; names, contact details, skills and technologies
+   * are copied unchanged, and a translation that drops an email, URL or technology is discarded
+   * @param {Object} resumeData - Validated resume data
+   * @param {string} language - Target language code
+   * @returns {Promise<Object>} - Translated resume data with `language` set
+   */
+  static async translate(resumeData, language) {
+    const texts = this.extractTranslatable(resumeData);
+    const provider = AIProviderFactory.getProvider();
+
+    const translations = Object.keys(texts).length > 0
+      ? await provider.translateTexts(texts, ResumeLocale.LANGUAGES[language].name)
+      : {};
+
+    return { ...this.applyTranslations(resumeData, texts, translations || {}), language };
+  }
+
+  /**
+   * Flatten the translatable text of a resume into { "experience.0.highlights.1": text }
+   */
+  static extractTranslatable(resumeData) {
+    const texts = {};
+    const add = (path, value) => {
+      if (typeof value === 'string' && value.trim()) {
+        texts[path] = value;
+      }
+    };
+
+    add('summary', resumeData.summary);
+
+    Object.keys(TRANSLATABLE_FIELDS).forEach(section => {
+      (resumeData[section] || []).forEach((entry, index) => {
+        TRANSLATABLE_FIELDS[section].forEach(field => {
+          const path = `${section}.${index}.${field}`;
+          if (Array.isArray(entry[field])) {
+            entry[field].forEach((item, itemIndex) => add(`${path}.${itemIndex}`, item));
+          } else {
+            add(path, entry[field]);
+          }
+        });
+      });
+    });
+
+    (resumeData.customSections || []).forEach((section, sectionIndex) => {
+      (section.entries || []).forEach((entry, entryIndex) => {
+        CUSTOM_ENTRY_FIELDS.forEach(field =>
+          add(`customSections.${sectionIndex}.entries.${entryIndex}.${field}`, entry[field]));
+      });
+    });
+
+    return texts;
+  }
+
+  /**
+   * Copy of resumeData with translated texts written back to their paths
+   * Keys that were not sent for translation are ignored
+   */
+  static applyTranslations(resumeData, texts, translations) {
+    const translated = JSON.parse(JSON.stringify(resumeData));
+    const technologies = this.getTechnologies(resumeData);
+
+    Object.keys(texts).forEach(path => {
+      const value = translations[path];
+
+      if (typeof value !== 'string' || !value.trim()
+        || !this.preservesProtectedTerms(texts[path], value, technologies)) {
+        return;
+      }
+
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((node, key) => node[key], translated);
+      parent[keys[keys.length - 1]] = value.trim();
+    });
+
+    return translated;
+  }
+
+  static preservesProtectedTerms(source, translation, technologies = []) {
+    const terms = [
+      ...(source.match(PROTECTED_PATTERN) || []),
+      ...technologies.filter(technology => source.includes(technology))
+    ];
+
+    return terms.every(term => translation.includes(term));
+  }
+
+  // Skills and project technologies, which translations must keep verbatim
+  static getTechnologies(resumeData) {
+    const projectTechnologies = (resumeData.projects || [])
+      .flatMap(project => String(project.technologies || '').split(/[,;|]/));
+
+    return [...(resumeData.skills || []), ...projectTechnologies]
+      .map(term => String(term).trim())
+      .filter(term => term.length > 1);
+  }
+}
+
+module.exports = ResumeLanguageService;
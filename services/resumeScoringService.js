@@ -0,0 +1,431 @@
+const ResumeNormalizer = require('../utils/resumeNormalizer');
+
+// Points per category; they add up to 100
+const CATEGORIES = {
+  contact: { label: 'Contact Details', maxScore: 15, strength: 'Contact details are complete' },
+  summary: { label: 'Professional Summary', maxScore: 10, strength: 'The summary has a good length' },
+  impact: { label: 'Quantified Achievements', maxScore: 20, strength: 'Most bullet points are backed by numbers' },
+  actionVerbs: { label: 'Action Verbs', maxScore: 15, strength: 'Bullet points open with strong action verbs' },
+  tense: { label: 'Tense Consistency', maxScore: 10, strength: 'Verb tenses match each role' },
+  wording: { label: 'Wording', maxScore: 10, strength: 'No repeated words or overused verbs' },
+  skills: { label: 'Skills', maxScore: 10, strength: 'The skills section is well sized' },
+  dates: { label: 'Employment Dates', maxScore: 10, strength: 'Employment history is dated without gaps' }
+};
+
+// Points lost per finding in categories scored by deduction
+const DEDUCTIONS = { high: 4, medium: 3, low: 2 };
+
+const SUMMARY_MIN_WORDS = 20;
+const SUMMARY_MAX_WORDS = 100;
+const QUANTIFIED_TARGET = 0.5;
+const ACTION_VERB_TARGET = 0.8;
+const MIN_SKILLS = 5;
+const MAX_SKILLS = 40;
+const MAX_VERB_REPEATS = 3;
+const MAX_GAP_MONTHS = 6;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Digits, percentages, currency amounts and multipliers ("2M", "45%", "$10k", "3x")
+const QUANTIFIED_PATTERN = /\d|%|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|dozens?|hundreds?|thousands?|millions?)\b/i;
+const WEAK_OPENING_PATTERN = /^(?:responsible for|worked on|helped|assisted|tasked with|involved in|duties included|participated in)\b/i;
+const REPEATED_WORD_PATTERN = /\b(\w+)\s+\1\b/i;
+
+// Strong action verbs (base form); their past tense is derived unless listed in IRREGULAR_PAST
+const ACTION_VERBS = [
+  'accelerate', 'achieve', 'analyze', 'architect', 'automate', 'boost', 'build', 'collaborate', 'configure',
+  'consolidate', 'coordinate', 'create', 'cut', 'debug', 'deliver', 'deploy', 'design', 'develop', 'document',
+  'drive', 'engineer', 'establish', 'execute', 'expand', 'generate', 'grow', 'identify', 'implement', 'improve',
+  'increase', 'initiate', 'integrate', 'introduce', 'launch', 'lead', 'maintain', 'manage', 'mentor', 'migrate',
+  'modernize', 'monitor', 'negotiate', 'optimize', 'organize', 'oversee', 'own', 'partner', 'pioneer', 'plan',
+  'present', 'produce', 'prototype', 'publish', 'redesign', 'reduce', 'refactor', 'research', 'resolve',
+  'restructure', 'review', 'run', 'save', 'scale', 'secure', 'sell', 'ship', 'simplify', 'spearhead',
+  'streamline', 'teach', 'test', 'train', 'transform', 'win', 'write'
+];
+
+const IRREGULAR_PAST = {
+  build: 'built', cut: 'cut', drive: 'drove', grow: 'grew', lead: 'led', oversee: 'oversaw', plan: 'planned',
+  run: 'ran', sell: 'sold', ship: 'shipped', teach: 'taught', win: 'won', write: 'wrote'
+};
+
+// Verbs that double their last letter before -ing ("running")
+const DOUBLED_CONSONANT = ['cut', 'plan', 'run', 'ship', 'win'];
+
+/**
+ * Resume Scoring Service
+ * Deterministic, rule-based quality score: contact details, summary length,
+ * quantified achievements, action verbs, tense consistency, repeated wording,
+ * skills count and employment gaps. Runs without an AI provider, so it backs
+ * up /analyze when the provider is unavailable and complements it otherwise.
+ */
+class ResumeScoringService {
+  constructor() {
+    // Verb form -> 'past' | 'present'
+    this.verbForms = new Map();
+
+    ACTION_VERBS.forEach(verb => {
+      const stem = DOUBLED_CONSONANT.includes(verb) ? verb + verb.slice(-1) : verb.replace(/([^e])e$/, '$1');
+
+      this.verbForms.set(verb, 'present');
+      this.verbForms.set(verb.replace(/(s|sh|ch|x|z)$/, '$1e').replace(/([^aeiou])y$/, '$1ie') + 's', 'present');
+      this.verbForms.set(`${stem}ing`, 'present');
+      this.verbForms.set(IRREGULAR_PAST[verb] || `${stem.replace(/e$/, '').replace(/([^aeiou])y$/, '$1i')}ed`, 'past');
+    });
+  }
+
+  /**
+   * Score a resume
+   * @param {Object} resumeData - Resume JSON
+   * @param {Date} now - Reference date for ongoing roles and gaps up to today
+   * @returns {{ score: number, maxScore: number, categories: Object[], findings: Object[] }}
+   *   findings are { code, category, severity: 'high'|'medium'|'low', message, field? }
+   */
+  score(resumeData, now = new Date()) {
+    const data = ResumeNormalizer.normalize(resumeData || {});
+    const list = value => (Array.isArray(value) ? value : []);
+    const experience = list(data.experience);
+    const bullets = this.collectBullets(experience, list(data.projects));
+
+    const results = {
+      contact: this.checkContact(data.personalInfo || {}),
+      summary: this.checkSummary(data.summary),
+      impact: this.checkImpact(bullets),
+      actionVerbs: this.checkActionVerbs(bullets),
+      tense: this.checkTense(experience),
+      wording: this.checkWording(data, bullets),
+      skills: this.checkSkills(list(data.skills)),
+      dates: this.checkDates(experience, now)
+    };
+
+    const categories = Object.keys(CATEGORIES).map(key => ({
+      key,
+      label: CATEGORIES[key].label,
+      score: Math.max(0, Math.min(CATEGORIES[key].maxScore, Math.round(results[key].points))),
+      maxScore: CATEGORIES[key].maxScore
+    }));
+
+    const findings = Object.keys(results).flatMap(key =>
+      results[key].findings.map(finding => ({ category: key, ...finding })));
+
+    return {
+      score: categories.reduce((total, category) => total + category.score, 0),
+      maxScore: 100,
+      categories,
+      findings
+    };
+  }
+
+  /**
+   * Shape a score like the AI analysis response (score, strengths, weaknesses, suggestions)
+   * so clients can show it when the AI analysis is unavailable
+   */
+  toAnalysis(result) {
+    return {
+      score: result.score,
+      matchPercentage: null,
+      missingSkills: [],
+      strengths: result.categories
+        .filter(category => category.score === category.maxScore)
+        .map(category => CATEGORIES[category.key].strength),
+      weaknesses: result.findings
+        .filter(finding => finding.severity !== 'low')
+        .map(finding => finding.message),
+      suggestions: result.findings.map(finding => ({
+        category: CATEGORIES[finding.category].label,
+        recommendation: finding.message
+      }))
+    };
+  }
+
+  checkContact(info) {
+    const findings = [];
+    let points = CATEGORIES.contact.maxScore;
+
+    const expectField = (field, deduction, severity, message) => {
+      if (!info[field]) {
+        points -= deduction;
+        findings.push({ code: `MISSING_${field.toUpperCase()}`, severity, message, field: `personalInfo.${field}` });
+      }
+    };
+
+    expectField('name', 3, 'high', 'Add your full name');
+    expectField('email', 4, 'high', 'Add an email address so recruiters can reach you');
+    expectField('phone', 3, 'medium', 'Add a phone number');
+    expectField('location', 2, 'low', 'Add your city or region; many recruiters filter by location');
+
+    if (info.email && !EMAIL_PATTERN.test(info.email)) {
+      points -= 4;
+      findings.push({ code: 'INVALID_EMAIL', severity: 'high', message: `"${info.email}" is not a valid email address`, field: 'personalInfo.email' });
+    }
+
+    if (!info.linkedin && !info.portfolio) {
+      points -= 3;
+      findings.push({ code: 'MISSING_PROFILE_LINK', severity: 'low', message: 'Add a LinkedIn profile or portfolio link', field: 'personalInfo.linkedin' });
+    }
+
+    return { points, findings };
+  }
+
+  checkSummary(summary) {
+    const words = this.countWords(summary);
+
+    if (words === 0) {
+      return {
+        points: 0,
+        findings: [{ code: 'MISSING_SUMMARY', severity: 'high', message: 'Add a professional summary of 2-4 sentences', field: 'summary' }]
+      };
+    }
+
+    if (words < SUMMARY_MIN_WORDS) {
+      return {
+        points: 5,
+        findings: [{ code: 'SHORT_SUMMARY', severity: 'medium', message: `The summary has ${words} words; aim for ${SUMMARY_MIN_WORDS}-${SUMMARY_MAX_WORDS}`, field: 'summary' }]
+      };
+    }
+
+    if (words > SUMMARY_MAX_WORDS) {
+      return {
+        points: 6,
+        findings: [{ code: 'LONG_SUMMARY', severity: 'low', message: `The summary has ${words} words; keep it under ${SUMMARY_MAX_WORDS}`, field: 'summary' }]
+      };
+    }
+
+    return { points: CATEGORIES.summary.maxScore, findings: [] };
+  }
+
+  // Share of experience and project bullets with a number, percentage or amount
+  checkImpact(bullets) {
+    if (bullets.length === 0) {
+      return {
+        points: 0,
+        findings: [{ code: 'NO_ACHIEVEMENTS', severity: 'high', message: 'Add bullet points describing what you achieved in each role' }]
+      };
+    }
+
+    const quantified = bullets.filter(bullet => QUANTIFIED_PATTERN.test(bullet.text)).length;
+    const ratio = quantified / bullets.length;
+    const findings = [];
+
+    if (ratio < QUANTIFIED_TARGET) {
+      findings.push({
+        code: 'FEW_QUANTIFIED_ACHIEVEMENTS',
+        severity: 'medium',
+        message: `Only ${quantified} of ${bullets.length} bullet points include numbers; quantify results (e.g. "cut load time by 40%")`
+      });
+    }
+
+    return { points: CATEGORIES.impact.maxScore * Math.min(1, ratio / QUANTIFIED_TARGET), findings };
+  }
+
+  checkActionVerbs(bullets) {
+    const findings = [];
+    let strong = 0;
+
+    bullets.forEach(bullet => {
+      if (WEAK_OPENING_PATTERN.test(bullet.text)) {
+        findings.push({
+          code: 'WEAK_OPENING',
+          severity: 'low',
+          message: `Start with an action verb instead of "${bullet.text.match(WEAK_OPENING_PATTERN)[0]}"`,
+          field: bullet.field
+        });
+      } else if (this.getTense(bullet.text)) {
+        strong++;
+      }
+    });
+
+    if (bullets.length === 0) {
+      return { points: 0, findings };
+    }
+
+    const ratio = strong / bullets.length;
+
+    if (ratio < ACTION_VERB_TARGET) {
+      findings.push({
+        code: 'FEW_ACTION_VERBS',
+        severity: 'medium',
+        message: `${strong} of ${bullets.length} bullet points start with an action verb such as "Led", "Built" or "Reduced"`
+      });
+    }
+
+    return { points: CATEGORIES.actionVerbs.maxScore * Math.min(1, ratio / ACTION_VERB_TARGET), findings };
+  }
+
+  // Past roles are written in the past tense; a current role may use either, but only one
+  checkTense(experience) {
+    const findings = [];
+
+    experience.forEach((entry, index) => {
+      const tenses = entry.highlights.map(highlight => this.getTense(highlight)).filter(Boolean);
+      const role = entry.title || entry.company || `role ${index + 1}`;
+      const field = `experience[${index}].highlights`;
+
+      if (entry.endDate !== ResumeNormalizer.PRESENT && tenses.includes('present')) {
+        findings.push({ code: 'PRESENT_TENSE_PAST_ROLE', severity: 'medium', message: `Use the past tense for "${role}", which has ended`, field });
+      } else if (new Set(tenses).size > 1) {
+        findings.push({ code: 'MIXED_TENSE', severity: 'low', message: `"${role}" mixes past and present tense`, field });
+      }
+    });
+
+    return { points: this.deduct(CATEGORIES.tense.maxScore, findings), findings };
+  }
+
+  checkWording(data, bullets) {
+    const findings = [];
+    const texts = [{ text: String(data.summary || ''), field: 'summary' }, ...bullets];
+
+    texts.forEach(({ text, field }) => {
+      const match = text.match(REPEATED_WORD_PATTERN);
+      if (match) {
+        findings.push({ code: 'REPEATED_WORD', severity: 'medium', message: `"${match[0]}" repeats a word`, field });
+      }
+    });
+
+    const openings = new Map();
+    bullets.forEach(bullet => {
+      const verb = this.getFirstWord(bullet.text);
+      if (this.getTense(bullet.text)) {
+        openings.set(verb, (openings.get(verb) || 0) + 1);
+      }
+    });
+
+    openings.forEach((count, verb) => {
+      if (count > MAX_VERB_REPEATS) {
+        findings.push({ code: 'OVERUSED_VERB', severity: 'low', message: `${count} bullet points start with "${verb}"; vary your verbs` });
+      }
+    });
+
+    return { points: this.deduct(CATEGORIES.wording.maxScore, findings), findings };
+  }
+
+  checkSkills(skills) {
+    const findings = [];
+    const unique = new Set(skills.map(skill => String(skill).trim().toLowerCase()).filter(Boolean));
+    let points = CATEGORIES.skills.maxScore;
+
+    if (unique.size === 0) {
+      return {
+        points: 0,
+        findings: [{ code: 'MISSING_SKILLS', severity: 'high', message: 'Add a skills section with the tools and technologies you use', field: 'skills' }]
+      };
+    }
+
+    if (unique.size < MIN_SKILLS) {
+      points = 5;
+      findings.push({ code: 'FEW_SKILLS', severity: 'medium', message: `List at least ${MIN_SKILLS} skills (currently ${unique.size})`, field: 'skills' });
+    } else if (unique.size > MAX_SKILLS) {
+      points = 7;
+      findings.push({ code: 'TOO_MANY_SKILLS', severity: 'low', message: `${unique.size} skills dilute the strongest ones; keep it under ${MAX_SKILLS}`, field: 'skills' });
+    }
+
+    if (unique.size < skills.length) {
+      points -= DEDUCTIONS.low;
+      findings.push({ code: 'DUPLICATE_SKILLS', severity: 'low', message: 'Some skills are listed more than once', field: 'skills' });
+    }
+
+    return { points, findings };
+  }
+
+  // Undated roles, end dates before start dates and gaps of more than MAX_GAP_MONTHS between roles
+  checkDates(experience, now) {
+    const findings = [];
+    const periods = [];
+    const currentMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+
+    experience.forEach((entry, index) => {
+      const field = `experience[${index}]`;
+      const start = this.toMonth(entry.startDate, 'start');
+      const end = entry.endDate === ResumeNormalizer.PRESENT ? currentMonth : this.toMonth(entry.endDate, 'end');
+
+      if (start === null) {
+        findings.push({ code: 'MISSING_DATES', severity: 'low', message: `Add start and end dates to "${entry.title || entry.company || `role ${index + 1}`}"`, field });
+      } else if (end !== null && end < start) {
+        findings.push({ code: 'INVALID_DATE_RANGE', severity: 'high', message: `"${entry.title || entry.company}" ends before it starts`, field });
+      } else {
+        periods.push({ start, end: end === null ? start : end });
+      }
+    });
+
+    periods.sort((a, b) => a.start - b.start);
+
+    let coveredUntil = null;
+    periods.forEach(period => {
+      const gap = coveredUntil === null ? 0 : period.start - coveredUntil - 1;
+
+      if (gap > MAX_GAP_MONTHS) {
+        findings.push({
+          code: 'EMPLOYMENT_GAP',
+          severity: 'medium',
+          message: `There is a ${gap}-month gap between roles ending ${this.formatMonth(coveredUntil)} and starting ${this.formatMonth(period.start)}; consider explaining it`
+        });
+      }
+
+      coveredUntil = coveredUntil === null ? period.end : Math.max(coveredUntil, period.end);
+    });
+
+    return { points: this.deduct(CATEGORIES.dates.maxScore, findings), findings };
+  }
+
+  // Experience highlights and project descriptions, with their field paths
+  collectBullets(experience, projects) {
+    const bullets = [];
+
+    experience.forEach((entry, index) => {
+      entry.highlights.forEach((text, highlightIndex) =>
+        bullets.push({ text, field: `experience[${index}].highlights[${highlightIndex}]` }));
+    });
+
+    projects.forEach((project, index) => {
+      if (project && typeof project.description === 'string' && project.description.trim()) {
+        bullets.push({ text: project.description.trim(), field: `projects[${index}].description` });
+      }
+    });
+
+    return bullets;
+  }
+
+  /**
+   * Tense of the verb a bullet starts with
+   * @returns {'past'|'present'|null} - null when it does not start with a recognised verb
+   */
+  getTense(text) {
+    const word = this.getFirstWord(text);
+
+    if (this.verbForms.has(word)) {
+      return this.verbForms.get(word);
+    }
+
+    // Regular past tense of verbs outside the list ("Handled", "Coached")
+    return /^[a-z]{3,}ed$/.test(word) ? 'past' : null;
+  }
+
+  getFirstWord(text) {
+    const match = String(text || '').trim().match(/^[A-Za-z]+/);
+    return match ? match[0].toLowerCase() : '';
+  }
+
+  countWords(text) {
+    return String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  }
+
+  deduct(maxScore, findings) {
+    return findings.reduce((points, finding) => points - DEDUCTIONS[finding.severity], maxScore);
+  }
+
+  // "2021" / "2021-03" -> months since year 0; a bare year starts in January and ends in December
+  toMonth(date, side) {
+    const match = String(date || '').match(/^(\d{4})(?:-(\d{2}))?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const month = match[2] ? Number(match[2]) - 1 : (side === 'end' ? 11 : 0);
+    return Number(match[1]) * 12 + month;
+  }
+
+  formatMonth(months) {
+    return `${Math.floor(months / 12)}-${String((months % 12) + 1).padStart(2, '0')}`;
+  }
+}
+
+module.exports = new ResumeScoringService();
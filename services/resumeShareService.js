@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const ResumeShare = require('../models/schemas/resumeShareSchema');
+
+const MAX_TRACKED_VIEWS = 200;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Resume Share Service
+ * Public, unguessable links to saved resumes with optional expiry and password
+ */
+class ResumeShareService {
+  /**
+   * Create a share link for a saved resume
+   * @param {string} userId - Owner's user ID
+   * @param {string} resumeId - Saved resume ID
+   * @param {Object} options - { expiresAt?: Date, password?: string }
+   * @returns {Promise<Object>} - The created share document
+   */
+  static async createShare(userId, resumeId, { expiresAt, password } = {}) {
+    const share = {
+      userId,
+      resumeId,
+      // 144 bits of randomness, URL-safe
+      slug: crypto.randomBytes(18).toString('base64url')
+    };
+
+    if (expiresAt) {
+      share.expiresAt = expiresAt;
+    }
+
+    if (password) {
+      share.passwordSalt = crypto.randomBytes(16).toString('hex');
+      share.passwordHash = this.hashPassword(password, share.passwordSalt);
+    }
+
+    return ResumeShare.create(share);
+  }
+
+  /**
+   * Validate owner-supplied share options
+   * @returns {{ error?: string, options?: Object }}
+   */
+  static parseShareOptions({ expiresAt, password } = {}) {
+    const options = {};
+
+    if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+      const date = new Date(expiresAt);
+      if (Number.isNaN(date.getTime())) {
+        return { error: 'expiresAt must be a valid date' };
+      }
+      if (date <= new Date()) {
+        return { error: 'expiresAt must be in the future' };
+      }
+      options.expiresAt = date;
+    }
+
+    if (password !== undefined && password !== null && password !== '') {
+      if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+      }
+      options.password = password;
+    }
+
+    return { options };
+  }
+
+  static hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 32).toString('hex');
+  }
+
+  static verifyPassword(share, password) {
+    if (!share.passwordHash) {
+      return true;
+    }
+
+    if (typeof password !== 'string' || password === '') {
+      return false;
+    }
+
+    const expected = Buffer.from(share.passwordHash, 'hex');
+    const actual = Buffer.from(this.hashPassword(password, share.passwordSalt), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  static isExpired(share) {
+    return !!share.expiresAt && share.expiresAt <= new Date();
+  }
+
+  static async findBySlug(slug) {
+    return ResumeShare.findOne({ slug }).lean();
+  }
+
+  static async listShares(userId, resumeId) {
+    return ResumeShare.find({ userId, resumeId }).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Revoke a share link; revoked links stay listed so their analytics remain visible
+   * @returns {Promise<Object|null>} - Updated share or null when not found
+   */
+  static async revokeShare(userId, resumeId, slug) {
+    return ResumeShare.findOneAndUpdate(
+      { userId, resumeId, slug },
+      { isRevoked: true, revokedAt: new Date() },
+      { new: true }
+    ).lean();
+  }
+
+  static async deleteSharesForResume(userId, resumeId) {
+    await ResumeShare.deleteMany({ userId, resumeId });
+  }
+
+  /**
+   * Record a successful view of a share link
+   */
+  static async recordView(shareId, { referrer = '', userAgent = '' } = {}) {
+    const viewedAt = new Date();
+
+    await ResumeShare.updateOne(
+      { _id: shareId },
+      {
+        $inc: { viewCount: 1 },
+        $set: { lastViewedAt: viewedAt },
+        $push: {
+          views: {
+            $each: [{
+              viewedAt,
+              referrer: String(referrer).slice(0, 500),
+              userAgent: String(userAgent).slice(0, 300)
+            }],
+            $slice: -MAX_TRACKED_VIEWS
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Owner-facing view of a share, without password material
+   */
+  static toOwnerView(share, baseUrl) {
+    const referrers = {};
+    (share.views || []).forEach(view => {
+      const key = view.referrer || 'direct';
+      referrers[key] = (referrers[key] || 0) + 1;
+    });
+
+    let status = 'active';
+    if (share.isRevoked) {
+      status = 'revoked';
+    } else if (this.isExpired(share)) {
+      status = 'expired';
+    }
+
+    return {
+      slug: share.slug,
+      url: `${baseUrl}/${share.slug}`,
+      status,
+      isPasswordProtected: !!share.passwordHash,
+      expiresAt: share.expiresAt || null,
+      revokedAt: share.revokedAt || null,
+      createdAt: share.createdAt,
+      analytics: {
+        viewCount: share.viewCount || 0,
+        lastViewedAt: share.lastViewedAt || null,
+        referrers,
+        recentViews: (share.views || []).slice(-20).reverse().map(view => ({
+          viewedAt: view.viewedAt,
+          referrer: view.referrer || null,
+          userAgent: view.userAgent || null
+        }))
+      }
+    };
+  }
+}
+
+module.exports = ResumeShareService;
@@ -0,0 +1,187 @@
+const { diffWords } = require('diff');
+const ResumeVersion = require('../models/schemas/resumeVersionSchema');
+const ResumeDataSchema = require('../utils/resumeDataSchema');
+
+const DEFAULT_VERSION_LIMIT = 20;
+// Concurrent saves can pick the same next version number; the loser retries with the one after
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Resume Version Service
+ * Keeps snapshots of every saved resume so earlier content can be compared and restored
+ */
+class ResumeVersionService {
+  /**
+   * Maximum number of versions kept per resume (RESUME_VERSION_LIMIT, default 20)
+   * @returns {number}
+   */
+  static getVersionLimit() {
+    const limit = parseInt(process.env.RESUME_VERSION_LIMIT, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_VERSION_LIMIT;
+  }
+
+  /**
+   * Store a snapshot of a resume and prune versions above the limit
+   * @param {string} userId - Owner's user ID
+   * @param {Object} resume - Resume entry ({ resumeId, resumeName, resumeData, schemaVersion, templateName, theme, isDynamic })
+   * @param {Object} extra - Extra snapshot fields (e.g. { restoredFrom })
+   * @returns {Promise<Object>} - The created version document
+   */
+  static async recordVersion(userId, resume, extra = {}) {
+    for (let attempt = 1; ; attempt++) {
+      const latest = await ResumeVersion.findOne({ userId, resumeId: resume.resumeId })
+        .sort({ version: -1 })
+        .select('version')
+        .lean();
+
+      try {
+        const version = await ResumeVersion.create({
+          userId,
+          resumeId: resume.resumeId,
+          version: latest ? latest.version + 1 : 1,
+          resumeName: resume.resumeName,
+          resumeData: resume.resumeData,
+          schemaVersion: resume.schemaVersion,
+          templateName: resume.templateName,
+          theme: resume.theme || {},
+          isDynamic: resume.isDynamic || false,
+          ...extra
+        });
+
+        await this.pruneVersions(userId, resume.resumeId);
+
+        return version;
+      } catch (error) {
+        // Another save took this version number between the lookup and the insert
+        if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Snapshot a resume saved before version history existed, so its first
+   * update does not discard the original content
+   */
+  static async ensureBaseline(userId, resume) {
+    const exists = await ResumeVersion.exists({ userId, resumeId: resume.resumeId });
+    if (!exists) {
+      await this.recordVersion(userId, resume);
+    }
+  }
+
+  static async pruneVersions(userId, resumeId) {
+    const stale = await ResumeVersion.find({ userId, resumeId })
+      .sort({ version: -1 })
+      .skip(this.getVersionLimit())
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await ResumeVersion.deleteMany({ _id: { $in: stale.map(v => v._id) } });
+    }
+  }
+
+  /**
+   * List version metadata for a resume, newest first
+   */
+  static async listVersions(userId, resumeId) {
+    return ResumeVersion.find({ userId, resumeId })
+      .sort({ version: -1 })
+      .select('version resumeName templateName isDynamic restoredFrom createdAt')
+      .lean();
+  }
+
+  /**
+   * One version, with its resume data upgraded to the current schema so that
+   * baselines of legacy resumes read and diff like later snapshots
+   * @returns {Promise<Object|null>}
+   */
+  static async getVersion(userId, resumeId, version) {
+    const snapshot = await ResumeVersion.findOne({ userId, resumeId, version }).lean();
+
+    if (!snapshot) {
+      return null;
+    }
+
+    return {
+      ...snapshot,
+      resumeData: ResumeDataSchema.upgrade(snapshot.resumeData, snapshot.schemaVersion),
+      schemaVersion: ResumeDataSchema.SCHEMA_VERSION
+    };
+  }
+
+  static async deleteVersions(userId, resumeId) {
+    await ResumeVersion.deleteMany({ userId, resumeId });
+  }
+
+  /**
+   * Field-level diff between two snapshots
+   * @param {Object} fromVersion - Older version document
+   * @param {Object} toVersion - Newer version document
+   * @returns {Array<Object>} - [{ path, type: added|removed|changed, before, after, changes? }]
+   */
+  static diffVersions(fromVersion, toVersion) {
+    const before = this.flatten({
+      resumeName: fromVersion.resumeName,
+      templateName: fromVersion.templateName,
+      theme: fromVersion.theme,
+      resumeData: fromVersion.resumeData
+    });
+    const after = this.flatten({
+      resumeName: toVersion.resumeName,
+      templateName: toVersion.templateName,
+      theme: toVersion.theme,
+      resumeData: toVersion.resumeData
+    });
+
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    const changes = [];
+
+    for (const path of paths) {
+      const hasBefore = Object.prototype.hasOwnProperty.call(before, path);
+      const hasAfter = Object.prototype.hasOwnProperty.call(after, path);
+
+      if (hasBefore && !hasAfter) {
+        changes.push({ path, type: 'removed', before: before[path] });
+      } else if (!hasBefore && hasAfter) {
+        changes.push({ path, type: 'added', after: after[path] });
+      } else if (before[path] !== after[path]) {
+        const change = { path, type: 'changed', before: before[path], after: after[path] };
+
+        // Word-level detail for text fields such as summaries and descriptions
+        if (typeof before[path] === 'string' && typeof after[path] === 'string') {
+          change.changes = diffWords(before[path], after[path]).map(part => ({
+            value: part.value,
+            added: !!part.added,
+            removed: !!part.removed
+          }));
+        }
+
+        changes.push(change);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Flatten nested objects/arrays into { 'a.b[0].c': value } leaf paths
+   */
+  static flatten(value, prefix = '', result = {}) {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => this.flatten(item, `${prefix}[${index}]`, result));
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      Object.keys(value).forEach(key => {
+        this.flatten(value[key], prefix ? `${prefix}.${key}` : key, result);
+      });
+    } else if (value !== undefined) {
+      result[prefix] = value instanceof Date ? value.toISOString() : value;
+    }
+
+    return result;
+  }
+}
+
+module.exports = ResumeVersionService;
@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CustomTemplateService = require('./customTemplateService');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+const MANIFEST_FILE = 'manifest.json';
+const DEFAULT_TEMPLATE = 'resume-template';
+
+const ALL_SECTIONS = ['personalInfo', 'summary', 'experience', 'education', 'skills', 'projects', 'certifications'];
+
+/**
+ * Template Registry
+ * Discovers the .hbs files in templates/ and merges them with templates/manifest.json
+ * Templates without a manifest entry are still listed with generated defaults
+ */
+class TemplateRegistry {
+  constructor() {
+    // Map: templateName -> template metadata
+    this.templates = null;
+    this.loadingPromise = null;
+  }
+
+  /**
+   * Load (or return the already loaded) template list
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async load() {
+    if (this.templates) {
+      return this.templates;
+    }
+
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.discover()
+        .then(templates => {
+          this.templates = templates;
+          return templates;
+        })
+        .finally(() => {
+          this.loadingPromise = null;
+        });
+    }
+
+    return this.loadingPromise;
+  }
+
+  /**
+   * Forget the loaded templates so the next call re-reads the directory
+   */
+  reload() {
+    this.templates = null;
+    return this.load();
+  }
+
+  async discover() {
+    const files = await fs.readdir(TEMPLATES_DIR);
+    const manifest = await this.readManifest();
+    const templates = new Map();
+
+    files
+      .filter(file => file.endsWith('.hbs'))
+      .forEach(file => {
+        const name = path.basename(file, '.hbs');
+        const entry = manifest[name] || {};
+
+        templates.set(name, {
+          name,
+          displayName: entry.displayName || this.toDisplayName(name),
+          description: entry.description || '',
+          columns: entry.columns || 1,
+          atsFriendly: entry.atsFriendly !== undefined ? entry.atsFriendly : true,
+          supportedSections: entry.supportedSections || ALL_SECTIONS,
+          // Sections rendered in a sidebar column instead of the main flow
+          sidebarSections: entry.sidebarSections || [],
+          themeDefaults: entry.themeDefaults || {},
+          order: entry.order || Number.MAX_SAFE_INTEGER,
+          path: path.join(TEMPLATES_DIR, file)
+        });
+      });
+
+    return templates;
+  }
+
+  async readManifest() {
+    try {
+      const content = await fs.readFile(path.join(TEMPLATES_DIR, MANIFEST_FILE), 'utf-8');
+      return JSON.parse(content);
+    } catch (error) {
+      console.error('❌ Failed to read template manifest:', error.message);
+      return {};
+    }
+  }
+
+  toDisplayName(name) {
+    return name
+      .replace(/^resume-template-?/, '')
+      .split('-')
+      .filter(Boolean)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ') || 'Classic';
+  }
+
+  /**
+   * Get all templates in display order
+   * @returns {Promise<Object[]>}
+   */
+  async getTemplates() {
+    const templates = await this.load();
+    return Array.from(templates.values()).sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get one template's metadata
+   * @param {string} name - Template name
+   * @returns {Promise<Object|null>}
+   */
+  async getTemplate(name) {
+    const templates = await this.load();
+    return templates.get(name) || null;
+  }
+
+  /**
+   * Resolve a requested template against the registry, falling back to the classic template
+   * Only registered names are accepted, which also prevents path traversal
+   * @param {string|Object} name - Requested template name, or an entry already resolved by resolveForUser
+   * @returns {Promise<Object>} - Template metadata
+   */
+  async resolveTemplate(name) {
+    if (name && typeof name === 'object') {
+      return name;
+    }
+
+    const templates = await this.load();
+    return templates.get(name) || templates.get(DEFAULT_TEMPLATE);
+  }
+
+  /**
+   * Resolve a template name that may refer to a user-uploaded template
+   * Custom templates are only used when the user owns them or they are shared;
+   * otherwise this falls back like resolveTemplate
+   * @param {string} name - Requested template name
+   * @param {string} userId - User the resume is rendered for
+   * @returns {Promise<Object>} - Template metadata (custom entries carry their source and CSS)
+   */
+  async resolveForUser(name, userId) {
+    if (CustomTemplateService.isCustomTemplateId(name)) {
+      const template = await CustomTemplateService.findAccessible(name, userId);
+
+      if (template) {
+        return CustomTemplateService.toEntry(template);
+      }
+    }
+
+    return this.resolveTemplate(name);
+  }
+
+  /**
+   * Public representation (no filesystem paths)
+   */
+  toPublicView(template) {
+    const { path: templatePath, order, source, css, ...metadata } = template;
+    return metadata;
+  }
+}
+
+// Singleton instance
+const templateRegistry = new TemplateRegistry();
+
+module.exports = templateRegistry;
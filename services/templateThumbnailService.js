@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const pdfService = require('./pdfService');
+const templateRegistry = require('./templateRegistry');
+
+const CACHE_DIR = path.join(__dirname, '../.cache/template-thumbnails');
+const SAMPLE_DATA_PATH = path.join(__dirname, '../templates/sample-resume.json');
+
+/**
+ * Template Thumbnail Service
+ * Renders each template with sample data to a PNG using the shared browser.
+ * Thumbnails are cached in memory and on disk, keyed by a hash of the
+ * template source and sample data so edits produce a fresh image.
+ */
+class TemplateThumbnailService {
+  constructor() {
+    // Map: cacheKey -> PNG buffer
+    this.memoryCache = new Map();
+    // Map: cacheKey -> in-flight render promise
+    this.pendingRenders = new Map();
+  }
+
+  /**
+   * Get the PNG thumbnail of a registered template
+   * @param {string} templateName - Template name
+   * @returns {Promise<Buffer|null>} - PNG contents, or null for unknown templates
+   */
+  async getThumbnail(templateName) {
+    const template = await templateRegistry.getTemplate(templateName);
+    if (!template) {
+      return null;
+    }
+
+    const [templateSource, sampleSource] = await Promise.all([
+      fs.readFile(template.path, 'utf-8'),
+      fs.readFile(SAMPLE_DATA_PATH, 'utf-8')
+    ]);
+
+    const cacheKey = `${template.name}-${crypto
+      .createHash('sha256')
+      .update(templateSource)
+      .update(sampleSource)
+      .digest('hex')
+      .slice(0, 16)}`;
+
+    if (this.memoryCache.has(cacheKey)) {
+      return this.memoryCache.get(cacheKey);
+    }
+
+    // Concurrent requests for the same thumbnail share one render
+    if (!this.pendingRenders.has(cacheKey)) {
+      const render = this.loadOrRender(cacheKey, template.name, JSON.parse(sampleSource))
+        .then(image => {
+          this.memoryCache.set(cacheKey, image);
+          return image;
+        })
+        .finally(() => {
+          this.pendingRenders.delete(cacheKey);
+        });
+
+      this.pendingRenders.set(cacheKey, render);
+    }
+
+    return this.pendingRenders.get(cacheKey);
+  }
+
+  async loadOrRender(cacheKey, templateName, sampleData) {
+    const filePath = path.join(CACHE_DIR, `${cacheKey}.png`);
+
+    try {
+      return await fs.readFile(filePath);
+    } catch (error) {
+      // Not cached on disk yet
+    }
+
+    const image = await pdfService.generateResumeImage(sampleData, templateName);
+
+    try {
+      await fs.mkdir(CACHE_DIR, { recursive: true });
+      await fs.writeFile(filePath, image);
+    } catch (error) {
+      console.error(`❌ Failed to cache thumbnail for ${templateName}:`, error.message);
+    }
+
+    return image;
+  }
+}
+
+// Singleton instance
+const templateThumbnailService = new TemplateThumbnailService();
+
+module.exports = templateThumbnailService;
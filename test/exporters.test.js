@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const markdownService = require('../services/markdownService');
+const latexService = require('../services/latexService');
+const atsService = require('../services/atsService');
+const resumeData = require('./fixtures/resume.json');
+
+const SNAPSHOT_DIR = path.join(__dirname, '__snapshots__');
+
+/**
+ * Compare output with the stored snapshot; UPDATE_SNAPSHOTS=1 writes new and
+ * changed snapshots, otherwise a missing one fails like a mismatch
+ */
+const matchSnapshot = (name, actual) => {
+  const file = path.join(SNAPSHOT_DIR, name);
+
+  if (process.env.UPDATE_SNAPSHOTS === '1') {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+
+  assert.ok(fs.existsSync(file), `${name} has no snapshot (UPDATE_SNAPSHOTS=1 to write it)`);
+
+  assert.equal(actual, fs.readFileSync(file, 'utf8'), `${name} differs from its snapshot (UPDATE_SNAPSHOTS=1 to accept)`);
+};
+
+test('Markdown export matches snapshot', () => {
+  matchSnapshot('resume.md', markdownService.generateMarkdown(resumeData));
+});
+
+test('LaTeX export matches snapshot', () => {
+  matchSnapshot('resume.tex', latexService.generateLatex(resumeData));
+});
+
+test('plain text export matches snapshot', () => {
+  matchSnapshot('resume.txt', atsService.generatePlainText(resumeData));
+});
+
+test('exporters render an empty resume without throwing', () => {
+  assert.match(markdownService.generateMarkdown({}), /^# Resume\n/);
+  assert.match(latexService.generateLatex({}), /\\begin\{document\}/);
+  assert.equal(typeof atsService.generatePlainText({}), 'string');
+});
+
+test('exporters use the headings of the resume language', () => {
+  const german = { ...resumeData, language: 'de' };
+
+  assert.match(markdownService.generateMarkdown(german), /^## Berufserfahrung$/m);
+  assert.match(latexService.generateLatex(german), /^\\section\{Berufserfahrung\}$/m);
+  assert.match(atsService.generatePlainText(german), /^BERUFSERFAHRUNG$/m);
+});
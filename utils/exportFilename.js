@@ -0,0 +1,14 @@
+class ExportFilename {
+  /**
+   * Build a safe download filename from the resume owner's name
+   * @param {string} name - Owner or resume name
+   * @param {string} extension - File extension without the dot
+   * @returns {string} - e.g. "Jane_Doe_Resume.pdf"
+   */
+  static build(name, extension) {
+    const base = String(name || 'resume').trim().replace(/[^a-zA-Z0-9.\-_]+/g, '_') || 'resume';
+    return `${base}_Resume.${extension}`;
+  }
+}
+
+module.exports = ExportFilename;
@@ -0,0 +1,20 @@
+/**
+ * Cache headers for public responses. server.js applies nocache() to every route;
+ * these helpers replace its headers where browsers may keep a copy. Express adds an
+ * ETag to res.send() bodies and answers a matching If-None-Match with 304.
+ */
+class HttpCache {
+  /**
+   * Allow browsers and shared caches to reuse the response
+   * @param {Object} res - Express response
+   * @param {number} maxAgeSeconds - How long a copy is used without revalidating
+   */
+  static setPublic(res, maxAgeSeconds) {
+    res.removeHeader('Pragma');
+    res.removeHeader('Expires');
+    res.removeHeader('Surrogate-Control');
+    res.setHeader('Cache-Control', `public, max-age=${maxAgeSeconds}`);
+  }
+}
+
+module.exports = HttpCache;
@@ -0,0 +1,523 @@
+/**
+ * Converts between the Skill Mint resume shape and the JSON Resume standard
+ * (https://jsonresume.org/schema). Where a value cannot be expressed exactly in
+ * JSON Resume fields (e.g. free-text durations), the original string is kept
+ * as an extra property so that export -> import round-trips without loss.
+ * Custom sections that fit a standard section (awards, publications, ...) are
+ * exported as that section; other custom sections, the section order and layout
+ * settings are kept under the EXTENSION_KEY property.
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const PRESENT_PATTERN = /^(present|current|now|ongoing)$/i;
+
+// Skill Mint data without a JSON Resume equivalent
+const EXTENSION_KEY = 'x-skillmint';
+
+// JSON Resume sections a custom section maps to, recognised by its title; fields
+// map custom entry fields to the section's item fields. Entries of volunteer have
+// a period (startDate/endDate) rather than a single date.
+const STANDARD_SECTIONS = {
+  awards: {
+    title: 'Awards',
+    titles: ['awards', 'honors', 'honours', 'awards & honors', 'honors & awards', 'awards and honors', 'honors and awards'],
+    fields: { title: 'title', subtitle: 'awarder', date: 'date', description: 'summary' }
+  },
+  publications: {
+    title: 'Publications',
+    titles: ['publications'],
+    fields: { title: 'name', subtitle: 'publisher', date: 'releaseDate', description: 'summary' }
+  },
+  volunteer: {
+    title: 'Volunteering',
+    titles: ['volunteer', 'volunteering', 'volunteer work', 'volunteer experience'],
+    fields: { title: 'position', subtitle: 'organization', description: 'summary' },
+    period: true
+  },
+  languages: {
+    title: 'Languages',
+    titles: ['languages'],
+    fields: { title: 'language', subtitle: 'fluency' }
+  }
+};
+
+class JsonResumeConverter {
+  /**
+   * Convert Skill Mint resume data to a JSON Resume document
+   * @param {Object} resumeData - resumeData normalized by utils/resumeNormalizer
+   * @returns {Object} - JSON Resume document
+   */
+  static toJsonResume(resumeData = {}) {
+    const info = resumeData.personalInfo || {};
+
+    const basics = {
+      name: info.name || '',
+      email: info.email || '',
+      phone: info.phone || '',
+      url: info.portfolio || '',
+      summary: resumeData.summary || '',
+      location: { address: info.location || '' },
+      profiles: info.linkedin
+        ? [{ network: 'LinkedIn', url: info.linkedin }]
+        : []
+    };
+
+    const work = (resumeData.experience || []).map(exp => ({
+      name: exp.company || '',
+      position: exp.title || '',
+      location: exp.location || '',
+      highlights: exp.highlights || [],
+      ...this.toPeriod(exp, 'duration')
+    }));
+
+    const education = (resumeData.education || []).map(edu => ({
+      institution: edu.institution || '',
+      studyType: edu.degree || '',
+      score: edu.gpa || '',
+      ...this.toPeriod(edu, 'year'),
+      // Not part of the JSON Resume education schema; kept for round-trips
+      ...(edu.location ? { location: edu.location } : {}),
+      ...(edu.highlights && edu.highlights.length ? { highlights: edu.highlights } : {})
+    }));
+
+    const projects = (resumeData.projects || []).map(proj => {
+      const technologies = proj.technologies || '';
+      const keywords = this.splitList(technologies);
+      const project = {
+        name: proj.name || '',
+        description: proj.description || '',
+        keywords
+      };
+
+      // Keep the raw string when joining the keywords would not reproduce it
+      if (keywords.join(', ') !== technologies) {
+        project.technologies = technologies;
+      }
+
+      return project;
+    });
+
+    const skills = (resumeData.skills || []).map(skill => ({ name: String(skill) }));
+
+    const certificates = (resumeData.certifications || []).map(cert => ({ name: String(cert) }));
+
+    const { standard, extension } = this.toSections(resumeData);
+
+    return {
+      $schema: SCHEMA_URL,
+      basics,
+      work,
+      education,
+      projects,
+      skills,
+      certificates,
+      ...standard,
+      [EXTENSION_KEY]: extension,
+      meta: {
+        version: 'v1.0.0',
+        lastModified: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Convert a JSON Resume document to Skill Mint resume data
+   * @param {Object} jsonResume - JSON Resume document
+   * @returns {Object} - resumeData; pass it through utils/resumeNormalizer for display fields
+   */
+  static fromJsonResume(jsonResume = {}) {
+    const basics = jsonResume.basics || {};
+    const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+    const linkedinProfile = profiles.find(p => /linkedin/i.test(p.network || '') || /linkedin\.com/i.test(p.url || ''));
+
+    const personalInfo = {
+      name: basics.name || '',
+      email: basics.email || '',
+      phone: basics.phone || '',
+      location: this.formatLocation(basics.location),
+      linkedin: linkedinProfile
+        ? (linkedinProfile.url || (linkedinProfile.username ? `https://www.linkedin.com/in/${linkedinProfile.username}` : ''))
+        : '',
+      portfolio: basics.url || basics.website || ''
+    };
+
+    const experience = (jsonResume.work || []).map(item => ({
+      title: item.position || '',
+      company: item.name || item.company || '',
+      location: item.location || '',
+      ...this.fromPeriod(item, 'duration'),
+      highlights: this.toHighlightList(item)
+    }));
+
+    const education = (jsonResume.education || []).map(item => ({
+      degree: item.studyType && item.area && !item.studyType.includes(item.area)
+        ? `${item.studyType} ${item.area}`
+        : (item.studyType || item.area || ''),
+      institution: item.institution || '',
+      location: item.location || '',
+      ...this.fromPeriod(item, 'year'),
+      gpa: item.score || '',
+      highlights: this.toHighlightList(item)
+    }));
+
+    const projects = (jsonResume.projects || []).map(item => ({
+      name: item.name || '',
+      description: item.description || (Array.isArray(item.highlights) ? item.highlights.join(' ') : ''),
+      technologies: item.technologies !== undefined
+        ? item.technologies
+        : (Array.isArray(item.keywords) ? item.keywords.join(', ') : '')
+    }));
+
+    // Skill groups with keywords are categories; flatten them to the keywords
+    const skills = [];
+    (jsonResume.skills || []).forEach(skill => {
+      if (Array.isArray(skill.keywords) && skill.keywords.length > 0) {
+        skills.push(...skill.keywords.map(String));
+      } else if (skill.name) {
+        skills.push(String(skill.name));
+      }
+    });
+
+    const certifications = (jsonResume.certificates || []).map(cert =>
+      cert.issuer ? `${cert.name} - ${cert.issuer}` : (cert.name || '')
+    ).filter(Boolean);
+
+    const extension = this.isObject(jsonResume[EXTENSION_KEY]) ? jsonResume[EXTENSION_KEY] : {};
+
+    return {
+      personalInfo,
+      summary: basics.summary || '',
+      education,
+      experience,
+      skills: [...new Set(skills)],
+      projects,
+      certifications,
+      customSections: this.fromSections(jsonResume, extension),
+      ...(extension.language ? { language: extension.language } : {}),
+      ...(Array.isArray(extension.sectionOrder) ? { sectionOrder: extension.sectionOrder } : {}),
+      ...(Array.isArray(extension.hiddenSections) ? { hiddenSections: extension.hiddenSections } : {})
+    };
+  }
+
+  /**
+   * Custom sections as JSON Resume sections where every entry fits, and the
+   * extension holding the rest along with language and section layout
+   * @returns {{ standard: Object, extension: Object }}
+   */
+  static toSections(resumeData) {
+    const standard = {};
+    const extension = {
+      language: resumeData.language || '',
+      sectionOrder: resumeData.sectionOrder || [],
+      hiddenSections: resumeData.hiddenSections || [],
+      // Standard sections stay in place as { id, title, section } references
+      customSections: []
+    };
+
+    (resumeData.customSections || []).forEach(section => {
+      const key = this.findStandardSection(section.title);
+      const items = key && !standard[key] ? this.toStandardItems(key, section.entries || []) : null;
+
+      if (items) {
+        standard[key] = items;
+        extension.customSections.push({ id: section.id || '', title: section.title, section: key });
+      } else {
+        extension.customSections.push(section);
+      }
+    });
+
+    return { standard, extension };
+  }
+
+  /**
+   * Custom sections from the standard sections of a JSON Resume document and its extension
+   */
+  static fromSections(jsonResume, extension) {
+    const fromStandard = (key, id, title) => {
+      const items = Array.isArray(jsonResume[key]) ? jsonResume[key] : [];
+      const entries = items.filter(item => this.isObject(item)).map(item => this.fromStandardItem(key, item));
+      return entries.length > 0 ? { id: id || key, title: title || STANDARD_SECTIONS[key].title, entries } : null;
+    };
+    const used = new Set();
+    const customSections = [];
+
+    (Array.isArray(extension.customSections) ? extension.customSections : []).forEach(section => {
+      if (!this.isObject(section)) {
+        return;
+      }
+
+      if (!STANDARD_SECTIONS[section.section]) {
+        customSections.push(section);
+      } else if (!used.has(section.section)) {
+        used.add(section.section);
+        customSections.push(fromStandard(section.section, section.id, section.title));
+      }
+    });
+
+    // Documents from other tools have standard sections without references
+    Object.keys(STANDARD_SECTIONS)
+      .filter(key => !used.has(key))
+      .forEach(key => customSections.push(fromStandard(key)));
+
+    return customSections.filter(Boolean);
+  }
+
+  static findStandardSection(title) {
+    const value = String(title || '').trim().toLowerCase();
+    return Object.keys(STANDARD_SECTIONS).find(key => STANDARD_SECTIONS[key].titles.includes(value)) || null;
+  }
+
+  /**
+   * Items of a standard section for custom entries
+   * @returns {Array<Object>|null} - null when an entry has a field or date the section cannot hold
+   */
+  static toStandardItems(key, entries) {
+    const { fields, period } = STANDARD_SECTIONS[key];
+    const items = [];
+
+    for (const entry of entries) {
+      const item = {};
+
+      for (const [field, value] of Object.entries(entry)) {
+        if (!value) {
+          continue;
+        }
+
+        if (field === 'date' && period) {
+          const dates = this.durationToDates(value, 'date');
+          if (dates.date) {
+            return null;
+          }
+          Object.assign(item, dates);
+        } else if (field === 'date' && fields.date) {
+          const date = this.parseDate(value);
+          if (!date || this.formatDate(date) !== value) {
+            return null;
+          }
+          item[fields.date] = date;
+        } else if (fields[field]) {
+          item[fields[field]] = value;
+        } else {
+          return null;
+        }
+      }
+
+      items.push(item);
+    }
+
+    return items;
+  }
+
+  static fromStandardItem(key, item) {
+    const { fields, period } = STANDARD_SECTIONS[key];
+    const entry = {};
+
+    Object.entries(fields).forEach(([field, itemField]) => {
+      if (item[itemField]) {
+        entry[field] = field === 'date' ? this.formatDate(item[itemField]) : String(item[itemField]);
+      }
+    });
+
+    if (period && (item.startDate || item.endDate)) {
+      entry.date = this.datesToDuration(item.startDate, item.endDate);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Check that a payload looks like a JSON Resume document
+   * @param {Object} jsonResume - Candidate document
+   * @returns {string|null} - Error message or null when valid
+   */
+  static validate(jsonResume) {
+    if (!jsonResume || typeof jsonResume !== 'object' || Array.isArray(jsonResume)) {
+      return 'JSON Resume document must be an object';
+    }
+
+    if (!this.isObject(jsonResume.basics)) {
+      return 'JSON Resume document must contain a "basics" object';
+    }
+
+    const lists = {
+      'basics.profiles': jsonResume.basics.profiles,
+      ...Object.fromEntries(['work', 'education', 'projects', 'skills', 'certificates', ...Object.keys(STANDARD_SECTIONS)]
+        .map(key => [key, jsonResume[key]]))
+    };
+
+    for (const [field, list] of Object.entries(lists)) {
+      if (list === undefined) {
+        continue;
+      }
+
+      if (!Array.isArray(list)) {
+        return `"${field}" must be an array`;
+      }
+
+      const index = list.findIndex(item => !this.isObject(item));
+      if (index !== -1) {
+        return `"${field}[${index}]" must be an object`;
+      }
+    }
+
+    if (jsonResume[EXTENSION_KEY] !== undefined && !this.isObject(jsonResume[EXTENSION_KEY])) {
+      return `"${EXTENSION_KEY}" must be an object`;
+    }
+
+    return null;
+  }
+
+  /**
+   * JSON Resume dates for a normalized entry. Open-ended periods omit endDate;
+   * entries whose text could not be parsed keep it under rawKey instead.
+   */
+  static toPeriod(entry, rawKey) {
+    if (!entry.startDate && !entry.endDate) {
+      // Entries that were never normalized still carry only the display text
+      return entry[rawKey] ? this.durationToDates(entry[rawKey], rawKey) : {};
+    }
+
+    const period = {};
+    if (entry.startDate) {
+      period.startDate = entry.startDate;
+    }
+    if (entry.endDate && !PRESENT_PATTERN.test(entry.endDate)) {
+      period.endDate = entry.endDate;
+    }
+
+    return period;
+  }
+
+  /**
+   * Skill Mint dates from a JSON Resume item (a start without an end is ongoing)
+   */
+  static fromPeriod(item, rawKey) {
+    if (!item.startDate && !item.endDate) {
+      return item[rawKey] ? { [rawKey]: item[rawKey] } : {};
+    }
+
+    return {
+      startDate: item.startDate || '',
+      endDate: item.endDate || (item.startDate ? 'present' : '')
+    };
+  }
+
+  static toHighlightList(item) {
+    const highlights = Array.isArray(item.highlights) ? item.highlights.map(String) : [];
+    return item.summary ? [item.summary, ...highlights] : highlights;
+  }
+
+  /**
+   * Turn "Jan 2020 - Present" style text into startDate/endDate.
+   * The original text is kept under rawKey when the dates can't reproduce it.
+   */
+  static durationToDates(text, rawKey) {
+    const value = (text || '').trim();
+    if (!value) {
+      return {};
+    }
+
+    const parts = value.split(/\s+(?:-|–|—|to)\s+/i);
+    const startDate = this.parseDate(parts[0]);
+    const endDate = parts.length > 1 ? this.parseDate(parts[1]) : undefined;
+
+    const dates = {};
+    if (parts.length === 1 && startDate) {
+      // A single date (e.g. graduation year) is the end of the period
+      dates.endDate = startDate;
+    } else if (parts.length === 2 && startDate && endDate !== null) {
+      dates.startDate = startDate;
+      if (endDate) {
+        dates.endDate = endDate;
+      }
+    }
+
+    if (this.datesToDuration(dates.startDate, dates.endDate) !== value) {
+      dates[rawKey] = value;
+    }
+
+    return dates;
+  }
+
+  /**
+   * Format JSON Resume dates back into display text
+   */
+  static datesToDuration(startDate, endDate) {
+    const start = this.formatDate(startDate);
+    const end = endDate ? this.formatDate(endDate) : '';
+
+    if (start) {
+      return `${start} - ${end || 'Present'}`;
+    }
+
+    return end;
+  }
+
+  /**
+   * Parse "Jan 2020", "January 2020" or "2020" into an ISO 8601 partial date.
+   * Returns '' for "Present" and null when the text is not a date.
+   */
+  static parseDate(text) {
+    const value = (text || '').trim();
+
+    if (PRESENT_PATTERN.test(value)) {
+      return '';
+    }
+
+    if (/^\d{4}$/.test(value)) {
+      return value;
+    }
+
+    const match = value.match(/^([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/);
+    if (match) {
+      const monthIndex = MONTHS.findIndex(m => m.toLowerCase() === match[1].toLowerCase());
+      if (monthIndex !== -1) {
+        return `${match[2]}-${String(monthIndex + 1).padStart(2, '0')}`;
+      }
+    }
+
+    return null;
+  }
+
+  static formatDate(isoDate) {
+    const match = (isoDate || '').match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) {
+      return '';
+    }
+
+    return match[2] ? `${MONTHS[Number(match[2]) - 1]} ${match[1]}` : match[1];
+  }
+
+  static formatLocation(location) {
+    if (!location) {
+      return '';
+    }
+
+    if (typeof location === 'string') {
+      return location;
+    }
+
+    if (location.address) {
+      return location.address;
+    }
+
+    return [location.city, location.region, location.countryCode].filter(Boolean).join(', ');
+  }
+
+  static isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static splitList(text) {
+    return String(text || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+}
+
+JsonResumeConverter.EXTENSION_KEY = EXTENSION_KEY;
+
+module.exports = JsonResumeConverter;
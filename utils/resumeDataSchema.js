@@ -0,0 +1,276 @@
+const ResumeNormalizer = require('./resumeNormalizer');
+const ResumeLocale = require('./resumeLocale');
+
+/**
+ * Versioned schema for resumeData
+ * Bump SCHEMA_VERSION whenever the stored shape changes and add an entry to
+ * MIGRATIONS that upgrades data from the previous version.
+ */
+const SCHEMA_VERSION = 1;
+
+// Field descriptors: strings are trimmed and length-checked, arrays are size-checked,
+// objects only keep the fields listed here
+const string = (max, options = {}) => ({ type: 'string', max, ...options });
+const date = () => ({ type: 'date' });
+const array = (items, max) => ({ type: 'array', items, max });
+const object = (fields, options = {}) => ({ type: 'object', fields, ...options });
+
+const REQUIRED_MESSAGE = 'is required';
+
+const ENTRY_ID = string(64);
+const URL = string(300);
+const HIGHLIGHTS = array(string(500), 20);
+
+// Sections whose entries may carry a legacy description instead of highlights
+const HIGHLIGHT_SECTIONS = ['experience', 'education'];
+
+const RESUME_DATA_SCHEMA = object({
+  personalInfo: object({
+    name: string(100, { required: true }),
+    email: string(254),
+    phone: string(40),
+    location: string(120),
+    linkedin: URL,
+    portfolio: URL
+  }, { required: true }),
+  // Language code (see utils/resumeLocale); missing means English
+  language: string(10),
+  summary: string(2000),
+  skills: array(string(60), 100),
+  experience: array(object({
+    id: ENTRY_ID,
+    title: string(150),
+    company: string(150),
+    location: string(120),
+    startDate: date(),
+    endDate: date(),
+    duration: string(60),
+    highlights: HIGHLIGHTS,
+    // Legacy free-text field, converted to highlights on save
+    description: string(5000)
+  }), 30),
+  education: array(object({
+    id: ENTRY_ID,
+    degree: string(150),
+    institution: string(150),
+    location: string(120),
+    startDate: date(),
+    endDate: date(),
+    year: string(60),
+    gpa: string(20),
+    highlights: HIGHLIGHTS,
+    description: string(5000)
+  }), 15),
+  projects: array(object({
+    id: ENTRY_ID,
+    name: string(150),
+    description: string(2000),
+    technologies: string(300)
+  }), 20),
+  certifications: array(string(200), 30),
+  sectionOrder: array(string(64), 30),
+  hiddenSections: array(string(64), 30),
+  customSections: array(object({
+    id: ENTRY_ID,
+    title: string(100, { required: true }),
+    entries: array(object({
+      title: string(150),
+      subtitle: string(150),
+      date: string(60),
+      description: string(1000)
+    }), 30)
+  }), 10)
+});
+
+// Upgrades from the version before the key; legacy resumes have no version (0)
+const MIGRATIONS = {
+  1: (resumeData) => ResumeNormalizer.normalize(resumeData)
+};
+
+class ResumeDataSchema {
+  /**
+   * Validate resume data from a request against the current schema
+   * Unknown keys are dropped and the result is normalized (see utils/resumeNormalizer)
+   * @param {Object} resumeData - Resume JSON from the client
+   * @param {Object} options - { allowIncomplete } to accept drafts missing required fields
+   *   (e.g. for scoring, which reports them); types and limits are still enforced
+   * @returns {{ resumeData?: Object, errors?: Array<{ field: string, message: string }> }}
+   */
+  static validate(resumeData, { allowIncomplete = false } = {}) {
+    const { schemaVersion, ...data } = resumeData || {};
+    const errors = [];
+
+    if (schemaVersion !== undefined && schemaVersion !== SCHEMA_VERSION) {
+      errors.push({ field: 'schemaVersion', message: `must be ${SCHEMA_VERSION}` });
+    }
+
+    const cleaned = this.check(RESUME_DATA_SCHEMA, data, '', errors);
+
+    if (cleaned) {
+      this.convertDescriptions(cleaned, errors);
+    }
+
+    if (cleaned && cleaned.language) {
+      const language = ResumeLocale.normalizeLanguage(cleaned.language);
+      if (language) {
+        cleaned.language = language;
+      } else {
+        errors.push({
+          field: 'language',
+          message: `must be one of: ${Object.keys(ResumeLocale.LANGUAGES).join(', ')}`
+        });
+      }
+    }
+
+    const reported = allowIncomplete ? errors.filter(error => error.message !== REQUIRED_MESSAGE) : errors;
+
+    if (reported.length > 0) {
+      return { errors: reported };
+    }
+
+    return { resumeData: ResumeNormalizer.normalize(cleaned) };
+  }
+
+  /**
+   * Bring stored data saved under an older schemaVersion up to date
+   * @param {Object} resumeData - Stored resumeData
+   * @param {number} fromVersion - schemaVersion stored with it (missing means 0)
+   * @returns {Object}
+   */
+  static upgrade(resumeData, fromVersion = 0) {
+    let data = resumeData || {};
+
+    for (let version = (fromVersion || 0) + 1; version <= SCHEMA_VERSION; version++) {
+      data = MIGRATIONS[version](data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Turn legacy descriptions into highlights here rather than in the normalizer,
+   * so the text is held to the highlight limits instead of its own larger one
+   */
+  static convertDescriptions(resumeData, errors) {
+    HIGHLIGHT_SECTIONS.forEach(section => {
+      (resumeData[section] || []).forEach((entry, index) => {
+        const { description, ...rest } = entry;
+
+        if (description === undefined) {
+          return;
+        }
+
+        if (!rest.highlights) {
+          const highlights = ResumeNormalizer.toHighlights(undefined, description);
+          rest.highlights = this.check(HIGHLIGHTS, highlights, `${section}[${index}].description`, errors);
+        }
+
+        resumeData[section][index] = rest;
+      });
+    });
+  }
+
+  static check(descriptor, value, field, errors) {
+    switch (descriptor.type) {
+      case 'object':
+        return this.checkObject(descriptor, value, field, errors);
+      case 'array':
+        return this.checkArray(descriptor, value, field, errors);
+      case 'date':
+        return this.checkDate(value, field, errors);
+      default:
+        return this.checkString(descriptor, value, field, errors);
+    }
+  }
+
+  static checkObject(descriptor, value, field, errors) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ field: field || 'resumeData', message: 'must be an object' });
+      return undefined;
+    }
+
+    const result = {};
+
+    Object.keys(descriptor.fields).forEach(key => {
+      const child = descriptor.fields[key];
+      const childField = field ? `${field}.${key}` : key;
+      const childValue = value[key];
+
+      if (childValue === undefined || childValue === null || childValue === '') {
+        if (child.required) {
+          errors.push({ field: childField, message: REQUIRED_MESSAGE });
+        }
+        return;
+      }
+
+      const cleaned = this.check(child, childValue, childField, errors);
+      if (cleaned !== undefined) {
+        result[key] = cleaned;
+      }
+    });
+
+    return result;
+  }
+
+  static checkArray(descriptor, value, field, errors) {
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: 'must be an array' });
+      return undefined;
+    }
+
+    if (value.length > descriptor.max) {
+      errors.push({ field, message: `must have at most ${descriptor.max} items` });
+      return undefined;
+    }
+
+    return value
+      .map((item, index) => {
+        if (item === undefined || item === null || item === '') {
+          return undefined;
+        }
+        return this.check(descriptor.items, item, `${field}[${index}]`, errors);
+      })
+      .filter(item => item !== undefined);
+  }
+
+  static checkString(descriptor, value, field, errors) {
+    // Numbers are accepted for fields such as gpa and year
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      value = String(value);
+    }
+
+    if (typeof value !== 'string') {
+      errors.push({ field, message: 'must be a string' });
+      return undefined;
+    }
+
+    const text = value.trim();
+
+    if (text.length > descriptor.max) {
+      errors.push({ field, message: `must be at most ${descriptor.max} characters` });
+      return undefined;
+    }
+
+    if (!text && descriptor.required) {
+      errors.push({ field, message: REQUIRED_MESSAGE });
+      return undefined;
+    }
+
+    return text || undefined;
+  }
+
+  static checkDate(value, field, errors) {
+    const text = typeof value === 'number' ? String(value) : value;
+
+    if (typeof text !== 'string' || text.length > 30 || (text.trim() && !ResumeNormalizer.normalizeDate(text))) {
+      errors.push({ field, message: 'must be a date such as 2021-03, Mar 2021, 2021 or present' });
+      return undefined;
+    }
+
+    return ResumeNormalizer.normalizeDate(text) || undefined;
+  }
+}
+
+ResumeDataSchema.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = ResumeDataSchema;
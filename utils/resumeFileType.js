@@ -0,0 +1,67 @@
+const MB = 1024 * 1024;
+
+// Upload formats, recognised by their leading bytes; extensions and client mimetypes are not trusted
+const FILE_TYPES = {
+  pdf: { label: 'PDF', mimeType: 'application/pdf', maxSize: 1 * MB },
+  docx: {
+    label: 'DOCX',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    maxSize: 1 * MB
+  },
+  png: { label: 'PNG', mimeType: 'image/png', maxSize: 5 * MB },
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', maxSize: 5 * MB }
+};
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+// Entry names are stored uncompressed in the ZIP headers, so this identifies a Word document
+const DOCX_MAIN_PART = Buffer.from('word/document.xml');
+
+class ResumeFileType {
+  /**
+   * Identify an uploaded resume file by its content
+   * @param {Buffer} buffer - File contents
+   * @returns {{ type: string, label: string, mimeType: string, maxSize: number }|null}
+   *   null for anything that is not a PDF, DOCX, PNG or JPEG
+   */
+  static detect(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+      return null;
+    }
+
+    const type = this.sniff(buffer);
+    return type ? { type, ...FILE_TYPES[type] } : null;
+  }
+
+  static sniff(buffer) {
+    const startsWith = signature => buffer.subarray(0, signature.length).equals(signature);
+
+    if (startsWith(PDF_SIGNATURE)) return 'pdf';
+    if (startsWith(PNG_SIGNATURE)) return 'png';
+    if (startsWith(JPEG_SIGNATURE)) return 'jpeg';
+    // Other ZIP-based formats (xlsx, odt, plain archives) lack the Word main part
+    if (startsWith(ZIP_SIGNATURE) && buffer.includes(DOCX_MAIN_PART)) return 'docx';
+
+    return null;
+  }
+
+  /**
+   * "PDF, DOCX, PNG or JPEG" for error messages
+   */
+  static describeSupported() {
+    const labels = Object.values(FILE_TYPES).map(fileType => fileType.label);
+    return `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`;
+  }
+
+  static formatSize(bytes) {
+    return `${Math.round(bytes / MB)} MB`;
+  }
+}
+
+ResumeFileType.FILE_TYPES = FILE_TYPES;
+// Largest upload of any type, for the multer limit
+ResumeFileType.MAX_UPLOAD_SIZE = Math.max(...Object.values(FILE_TYPES).map(fileType => fileType.maxSize));
+
+module.exports = ResumeFileType;
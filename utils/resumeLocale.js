@@ -0,0 +1,205 @@
+const JsonResumeConverter = require('./jsonResumeConverter');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Supported resume languages; headings replace the template's own wording for non-English resumes
+// (contact and home are only used by portfolio sites)
+const LANGUAGES = {
+  en: { name: 'English', dir: 'ltr', present: 'Present' },
+  de: {
+    name: 'German',
+    dir: 'ltr',
+    present: 'heute',
+    headings: {
+      summary: 'Profil',
+      experience: 'Berufserfahrung',
+      education: 'Ausbildung',
+      projects: 'Projekte',
+      skills: 'Kenntnisse',
+      certifications: 'Zertifikate',
+      contact: 'Kontakt',
+      home: 'Start'
+    }
+  },
+  fr: {
+    name: 'French',
+    dir: 'ltr',
+    present: "aujourd'hui",
+    headings: {
+      summary: 'Profil',
+      experience: 'Expérience professionnelle',
+      education: 'Formation',
+      projects: 'Projets',
+      skills: 'Compétences',
+      certifications: 'Certifications',
+      contact: 'Contact',
+      home: 'Accueil'
+    }
+  },
+  es: {
+    name: 'Spanish',
+    dir: 'ltr',
+    present: 'actualidad',
+    headings: {
+      summary: 'Perfil',
+      experience: 'Experiencia profesional',
+      education: 'Formación',
+      projects: 'Proyectos',
+      skills: 'Habilidades',
+      certifications: 'Certificaciones',
+      contact: 'Contacto',
+      home: 'Inicio'
+    }
+  },
+  nl: {
+    name: 'Dutch',
+    dir: 'ltr',
+    present: 'heden',
+    headings: {
+      summary: 'Profiel',
+      experience: 'Werkervaring',
+      education: 'Opleiding',
+      projects: 'Projecten',
+      skills: 'Vaardigheden',
+      certifications: 'Certificaten',
+      contact: 'Contact',
+      home: 'Home'
+    }
+  },
+  ar: {
+    name: 'Arabic',
+    dir: 'rtl',
+    present: 'حتى الآن',
+    headings: {
+      summary: 'نبذة مهنية',
+      experience: 'الخبرة العملية',
+      education: 'التعليم',
+      projects: 'المشاريع',
+      skills: 'المهارات',
+      certifications: 'الشهادات',
+      contact: 'التواصل',
+      home: 'الرئيسية'
+    }
+  },
+  he: {
+    name: 'Hebrew',
+    dir: 'rtl',
+    present: 'היום',
+    headings: {
+      summary: 'פרופיל',
+      experience: 'ניסיון תעסוקתי',
+      education: 'השכלה',
+      projects: 'פרויקטים',
+      skills: 'כישורים',
+      certifications: 'הסמכות',
+      contact: 'יצירת קשר',
+      home: 'דף הבית'
+    }
+  },
+  fa: {
+    name: 'Persian',
+    dir: 'rtl',
+    present: 'تاکنون',
+    headings: {
+      summary: 'خلاصه',
+      experience: 'سوابق کاری',
+      education: 'تحصیلات',
+      projects: 'پروژه‌ها',
+      skills: 'مهارت‌ها',
+      certifications: 'گواهینامه‌ها',
+      contact: 'تماس',
+      home: 'خانه'
+    }
+  }
+};
+
+/**
+ * Language of a resume (resumeData.language): text direction, localised section
+ * headings and date ranges. Resumes without a language are English.
+ */
+class ResumeLocale {
+  /**
+   * Normalise a language code such as "DE" or "de-AT" to a supported language
+   * @returns {string|null} - Supported language code, or null when unsupported
+   */
+  static normalizeLanguage(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+
+    const language = code.trim().toLowerCase().split(/[-_]/)[0];
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language) ? language : null;
+  }
+
+  /**
+   * Template data for a language
+   * @param {string} code - Language code; unsupported or missing codes fall back to English
+   * @returns {{ lang: string, dir: string, headings: Object|null }}
+   */
+  static resolve(code) {
+    const lang = this.normalizeLanguage(code) || DEFAULT_LANGUAGE;
+    const language = LANGUAGES[lang];
+
+    return {
+      lang,
+      dir: language.dir,
+      headings: language.headings || null
+    };
+  }
+
+  static isRtl(code) {
+    return this.resolve(code).dir === 'rtl';
+  }
+
+  /**
+   * Display text for a period in a language, e.g. "März 2021 - heute"
+   * @returns {string} - '' when neither date is set
+   */
+  static formatRange(startDate, endDate, lang = DEFAULT_LANGUAGE) {
+    const start = this.formatDate(startDate, lang);
+    const end = endDate === 'present' ? LANGUAGES[lang].present : this.formatDate(endDate, lang);
+
+    if (start) {
+      return `${start} - ${end || LANGUAGES[lang].present}`;
+    }
+
+    return end;
+  }
+
+  // "2021-03" -> "Mar 2021" (en), "März 2021" (de); years are kept as they are
+  static formatDate(isoDate, lang = DEFAULT_LANGUAGE) {
+    if (lang === DEFAULT_LANGUAGE) {
+      return JsonResumeConverter.formatDate(isoDate);
+    }
+
+    const match = String(isoDate || '').match(/^(\d{4})(?:-(\d{2}))?$/);
+
+    if (!match) {
+      return '';
+    }
+
+    if (!match[2]) {
+      return match[1];
+    }
+
+    return new Intl.DateTimeFormat(lang, { month: 'short', year: 'numeric', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1)));
+  }
+
+  /**
+   * Supported languages for clients
+   * @returns {Array<{ code: string, name: string, dir: string }>}
+   */
+  static listLanguages() {
+    return Object.keys(LANGUAGES).map(code => ({
+      code,
+      name: LANGUAGES[code].name,
+      dir: LANGUAGES[code].dir
+    }));
+  }
+}
+
+ResumeLocale.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+ResumeLocale.LANGUAGES = LANGUAGES;
+
+module.exports = ResumeLocale;
@@ -0,0 +1,170 @@
+const JsonResumeConverter = require('./jsonResumeConverter');
+
+const PRESENT = 'present';
+const PRESENT_PATTERN = /^(present|current|now|ongoing)$/i;
+const BULLET_PREFIX_PATTERN = /^\s*(?:[•▪◦●‣∙*-]|\d+[.)])\s+/;
+
+/**
+ * Brings experience and education entries into the structured shape:
+ *   experience: { title, company, location, startDate, endDate, highlights[], duration }
+ *   education:  { degree, institution, location, startDate, endDate, gpa, highlights[], year }
+ * Dates are ISO 8601 partial dates ("2021" or "2021-03"); endDate may be "present".
+ * duration/year are display strings derived from the dates, or the original text
+ * when older free-text values cannot be parsed. Old description strings become highlights.
+ */
+class ResumeNormalizer {
+  /**
+   * Normalize a resume's structured sections; other fields are passed through
+   * @param {Object} resumeData - Resume JSON in the old or new shape
+   * @returns {Object} - Copy of resumeData with normalized entries
+   */
+  static normalize(resumeData = {}) {
+    const normalized = { ...resumeData };
+
+    if (Array.isArray(resumeData.experience)) {
+      normalized.experience = resumeData.experience
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => this.normalizeExperience(entry));
+    }
+
+    if (Array.isArray(resumeData.education)) {
+      normalized.education = resumeData.education
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => this.normalizeEducation(entry));
+    }
+
+    return normalized;
+  }
+
+  static normalizeExperience(entry) {
+    const { description, ...rest } = entry;
+    const dates = this.resolveDates(entry.startDate, entry.endDate, entry.duration);
+
+    return {
+      ...rest,
+      title: this.toText(entry.title),
+      company: this.toText(entry.company),
+      location: this.toText(entry.location),
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      highlights: this.toHighlights(entry.highlights, description),
+      duration: dates.display
+    };
+  }
+
+  static normalizeEducation(entry) {
+    const { description, ...rest } = entry;
+    const dates = this.resolveDates(entry.startDate, entry.endDate, entry.year);
+
+    return {
+      ...rest,
+      degree: this.toText(entry.degree),
+      institution: this.toText(entry.institution),
+      location: this.toText(entry.location),
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      gpa: this.toText(entry.gpa),
+      highlights: this.toHighlights(entry.highlights, description),
+      year: dates.display
+    };
+  }
+
+  /**
+   * Work out start/end dates and their display text
+   * Explicit startDate/endDate win; otherwise the legacy free-text period is parsed
+   * @returns {{ startDate: string, endDate: string, display: string }}
+   */
+  static resolveDates(startDate, endDate, legacyText) {
+    let start = this.normalizeDate(startDate);
+    let end = this.normalizeDate(endDate);
+
+    if (!start && !end) {
+      const text = this.toText(legacyText);
+      if (!text) {
+        return { startDate: '', endDate: '', display: '' };
+      }
+
+      const parsed = JsonResumeConverter.durationToDates(text, 'raw');
+      if (parsed.raw !== undefined) {
+        // Not a recognisable period; keep the text for display only
+        return { startDate: '', endDate: '', display: text };
+      }
+
+      start = parsed.startDate || '';
+      end = parsed.endDate || (start ? PRESENT : '');
+    }
+
+    return { startDate: start, endDate: end, display: this.formatRange(start, end) };
+  }
+
+  /**
+   * Accept "2021", "2021-03", "2021-03-15", "Mar 2021" or "present"
+   * @returns {string} - "YYYY", "YYYY-MM", "present" or '' when not a date
+   */
+  static normalizeDate(value) {
+    const text = this.toText(value);
+
+    if (!text) {
+      return '';
+    }
+
+    if (PRESENT_PATTERN.test(text)) {
+      return PRESENT;
+    }
+
+    const isoMatch = text.match(/^(\d{4})(?:-(0[1-9]|1[0-2]))?(?:-\d{2})?$/);
+    if (isoMatch) {
+      return isoMatch[2] ? `${isoMatch[1]}-${isoMatch[2]}` : isoMatch[1];
+    }
+
+    return JsonResumeConverter.parseDate(text) || '';
+  }
+
+  /**
+   * Display text for a period, e.g. "Mar 2021 - Present" or "2018"
+   */
+  static formatRange(startDate, endDate) {
+    if (!startDate) {
+      return endDate === PRESENT ? 'Present' : JsonResumeConverter.formatDate(endDate);
+    }
+
+    return JsonResumeConverter.datesToDuration(startDate, endDate === PRESENT ? '' : endDate);
+  }
+
+  /**
+   * Highlights array from an explicit list, or from a legacy description that
+   * may hold several bullet lines
+   */
+  static toHighlights(highlights, description) {
+    let items = [];
+
+    if (Array.isArray(highlights)) {
+      items = highlights;
+    } else if (typeof highlights === 'string') {
+      items = highlights.split('\n');
+    } else if (typeof description === 'string') {
+      items = description.split('\n');
+      // Bullets pasted into a single line, e.g. "Did X • Did Y"
+      if (items.length === 1) {
+        items = description.split(/\s+•\s+/);
+      }
+    }
+
+    return items
+      .filter(item => typeof item === 'string')
+      .map(item => item.replace(BULLET_PREFIX_PATTERN, '').trim())
+      .filter(Boolean);
+  }
+
+  static toText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return String(value).trim();
+  }
+}
+
+ResumeNormalizer.PRESENT = PRESENT;
+
+module.exports = ResumeNormalizer;
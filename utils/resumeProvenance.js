@@ -0,0 +1,363 @@
+const PRESENT_WORDS = ['present', 'current', 'currently', 'now', 'ongoing', 'till date', 'to date'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Confidence by how a value was found in the source text
+const CONFIDENCE = {
+  exact: 1,
+  reformatted: 0.9,
+  // Scaled by the share of the value's words found in the source
+  partial: 0.7,
+  missing: 0.3
+};
+// Values whose words are found less often than this are treated as not in the source
+const MIN_PARTIAL_COVERAGE = 0.5;
+const REVIEW_THRESHOLD = 0.6;
+// A partial match spread over more than this many characters has no useful span
+const MAX_PARTIAL_SPAN = 400;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const ENTRY_FIELDS = {
+  experience: ['title', 'company', 'location', 'startDate', 'endDate'],
+  education: ['degree', 'institution', 'location', 'startDate', 'endDate', 'gpa'],
+  projects: ['name', 'description', 'technologies']
+};
+const PERSONAL_INFO_FIELDS = ['name', 'email', 'phone', 'location', 'linkedin', 'portfolio'];
+
+/**
+ * Grounds parsed resume fields in the text they were parsed from. Each field gets
+ * a confidence, the span of source text it came from, and whether it appeared
+ * verbatim; values that cannot be found are likely AI hallucinations and are
+ * flagged for review. Field paths match ResumeDataSchema errors, e.g.
+ * "experience[0].highlights[1]".
+ */
+class ResumeProvenance {
+  /**
+   * @param {Object} resumeData - Parsed resume (see geminiService.parseResume)
+   * @param {string} sourceText - Text the resume was parsed from; spans index into it
+   * @param {Object} options - { ocrConfidence } 0-1 when the text came from OCR
+   * @returns {{ fields: Object<string, { confidence: number, span: ?{ start: number, end: number },
+   *   match: string, verbatim: boolean, needsReview: boolean }>, reviewCount: number }}
+   */
+  static annotate(resumeData, sourceText, { ocrConfidence = null } = {}) {
+    const source = this.indexSource(sourceText || '');
+    const fields = {};
+
+    this.collectFields(resumeData || {}).forEach(({ path, key, value }) => {
+      fields[path] = this.locate(source, key, value, ocrConfidence);
+    });
+
+    return {
+      fields,
+      reviewCount: Object.values(fields).filter(field => field.needsReview).length
+    };
+  }
+
+  /**
+   * Non-empty string fields with their paths; derived display fields
+   * (duration, year) are skipped
+   * @returns {Array<{ path: string, key: string, value: string }>}
+   */
+  static collectFields(resumeData) {
+    const fields = [];
+    const add = (path, key, value) => {
+      if (typeof value === 'string' && value.trim()) {
+        fields.push({ path, key, value });
+      }
+    };
+    const list = value => (Array.isArray(value) ? value : []);
+
+    const personalInfo = resumeData.personalInfo || {};
+    PERSONAL_INFO_FIELDS.forEach(key => add(`personalInfo.${key}`, key, personalInfo[key]));
+
+    add('summary', 'summary', resumeData.summary);
+
+    Object.entries(ENTRY_FIELDS).forEach(([section, keys]) => {
+      list(resumeData[section]).forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+          return;
+        }
+
+        keys.forEach(key => add(`${section}[${index}].${key}`, key, entry[key]));
+        list(entry.highlights).forEach((highlight, highlightIndex) =>
+          add(`${section}[${index}].highlights[${highlightIndex}]`, 'highlight', highlight));
+      });
+    });
+
+    list(resumeData.skills).forEach((skill, index) => add(`skills[${index}]`, 'skill', skill));
+    list(resumeData.certifications).forEach((certification, index) =>
+      add(`certifications[${index}]`, 'certification', certification));
+
+    return fields;
+  }
+
+  /**
+   * Find a value in the source: verbatim (ignoring case and whitespace), in
+   * another format (dates, URLs, phone numbers, punctuation), or word by word
+   */
+  static locate(source, key, value, ocrConfidence) {
+    let found = this.findIn(source, this.normalize(value).text);
+    let match = found ? 'exact' : null;
+    let coverage = 1;
+
+    if (!found) {
+      found = this.findReformatted(source, key, value);
+      match = found ? 'reformatted' : null;
+    }
+
+    if (!found) {
+      const partial = this.findWords(source, value);
+      coverage = partial.coverage;
+      found = partial.span;
+      match = coverage >= MIN_PARTIAL_COVERAGE ? 'partial' : 'missing';
+    }
+
+    let confidence = match === 'partial' || match === 'missing' ? CONFIDENCE[match] * coverage : CONFIDENCE[match];
+
+    // Text read by OCR may itself be wrong, even where a value matches it
+    if (ocrConfidence !== null) {
+      confidence *= 0.5 + 0.5 * ocrConfidence;
+    }
+
+    confidence = Math.round(confidence * 100) / 100;
+
+    return {
+      confidence,
+      span: found,
+      match,
+      verbatim: match === 'exact',
+      needsReview: match === 'partial' || match === 'missing' || confidence < REVIEW_THRESHOLD
+    };
+  }
+
+  /**
+   * First whole-word occurrence of a normalized needle in a view of the source
+   * @returns {?{ start: number, end: number }} - Span in the original source text
+   */
+  static findIn(view, needle) {
+    const [position] = this.findAll(view.text, needle, 1);
+    return position ? this.toOriginal(view, position) : null;
+  }
+
+  /**
+   * Whole-word occurrences of needle in haystack
+   * @returns {Array<{ start: number, end: number }>} - Spans in the haystack
+   */
+  static findAll(haystack, needle, limit = Infinity) {
+    const positions = [];
+
+    if (!needle) {
+      return positions;
+    }
+
+    let index = haystack.indexOf(needle);
+
+    while (index !== -1 && positions.length < limit) {
+      const before = haystack[index - 1];
+      const after = haystack[index + needle.length];
+
+      if (!this.isWordChar(before) && !this.isWordChar(after)) {
+        positions.push({ start: index, end: index + needle.length });
+      }
+
+      index = haystack.indexOf(needle, index + 1);
+    }
+
+    return positions;
+  }
+
+  static findReformatted(source, key, value) {
+    if (key === 'startDate' || key === 'endDate') {
+      for (const variant of this.dateVariants(value)) {
+        const found = this.findIn(source, variant);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    }
+
+    if (key === 'phone') {
+      return this.findDigits(source, value);
+    }
+
+    if (key === 'linkedin' || key === 'portfolio') {
+      // Parsers add the scheme and drop "www." or trailing slashes
+      const bare = this.normalize(value).text.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+      return this.findIn(source, bare);
+    }
+
+    // Same words with different punctuation, e.g. joined bullet lines
+    return this.findIn(source.words, this.toWords(value));
+  }
+
+  /**
+   * Ways a "YYYY-MM", "YYYY" or "present" date may be written in a resume
+   */
+  static dateVariants(value) {
+    const text = value.trim().toLowerCase();
+
+    if (text === 'present') {
+      return PRESENT_WORDS;
+    }
+
+    const match = text.match(/^(\d{4})(?:-(\d{2}))?$/);
+    if (!match) {
+      return [];
+    }
+
+    const [, year, month] = match;
+    if (!month || !MONTHS[Number(month) - 1]) {
+      return [year];
+    }
+
+    const monthName = MONTHS[Number(month) - 1].toLowerCase();
+    const monthNumber = String(Number(month));
+
+    return [
+      `${monthName} ${year}`, `${monthName.slice(0, 3)} ${year}`, `${monthName.slice(0, 3)}. ${year}`,
+      `${monthName.slice(0, 4)} ${year}`, `${month}/${year}`, `${monthNumber}/${year}`,
+      `${month}-${year}`, `${year}-${month}`, `${year}/${month}`, `${monthName.slice(0, 3)} '${year.slice(2)}`
+    ];
+  }
+
+  static findDigits(source, value) {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 7) {
+      return null;
+    }
+
+    const index = source.digits.text.indexOf(digits);
+    return index === -1 ? null : this.toOriginal(source.digits, { start: index, end: index + digits.length });
+  }
+
+  /**
+   * Share of the value's words found in the source, and the tightest span holding them
+   * @returns {{ coverage: number, span: ?{ start: number, end: number } }}
+   */
+  static findWords(source, value) {
+    const words = [...new Set(this.toWords(value).split(' '))].filter(word => word && !STOP_WORDS.has(word));
+
+    if (!words.length) {
+      return { coverage: 0, span: null };
+    }
+
+    const occurrences = words
+      .map(word => this.findAll(source.words.text, word))
+      .filter(positions => positions.length);
+
+    const coverage = occurrences.length / words.length;
+    if (!occurrences.length) {
+      return { coverage, span: null };
+    }
+
+    // Anchor on each occurrence of the rarest word and take the nearest occurrence of the others
+    const [rarest, ...others] = occurrences.sort((a, b) => a.length - b.length);
+    let best = null;
+
+    rarest.forEach(anchor => {
+      let start = anchor.start;
+      let end = anchor.end;
+
+      others.forEach(positions => {
+        const nearest = positions.reduce((closest, position) =>
+          (Math.abs(position.start - anchor.start) < Math.abs(closest.start - anchor.start) ? position : closest));
+        start = Math.min(start, nearest.start);
+        end = Math.max(end, nearest.end);
+      });
+
+      if (!best || end - start < best.end - best.start) {
+        best = { start, end };
+      }
+    });
+
+    const span = best.end - best.start <= MAX_PARTIAL_SPAN ? this.toOriginal(source.words, best) : null;
+    return { coverage, span };
+  }
+
+  /**
+   * Normalized views of the source text, each with offsets back into the original
+   */
+  static indexSource(text) {
+    const normalized = this.normalize(text);
+
+    return {
+      text: normalized.text,
+      offsets: normalized.offsets,
+      words: this.project(normalized, char => (this.isWordChar(char) ? char : ' ')),
+      digits: this.project(normalized, char => (/\d/.test(char) ? char : ''))
+    };
+  }
+
+  /**
+   * Lowercase text with whitespace collapsed and typographic quotes and dashes unified
+   * @returns {{ text: string, offsets: number[] }} - offsets[i] is the original index of text[i]
+   */
+  static normalize(text) {
+    let result = '';
+    const offsets = [];
+
+    for (let index = 0; index < text.length; index++) {
+      let char = text[index].toLowerCase();
+
+      if (/\s/.test(char)) {
+        if (!result || result.endsWith(' ')) {
+          continue;
+        }
+        char = ' ';
+      } else if (/[‘’`]/.test(char)) {
+        char = "'";
+      } else if (/[“”]/.test(char)) {
+        char = '"';
+      } else if (/[‐‑–—]/.test(char)) {
+        char = '-';
+      }
+
+      result += char;
+      offsets.push(index);
+    }
+
+    if (result.endsWith(' ')) {
+      result = result.slice(0, -1);
+      offsets.pop();
+    }
+
+    return { text: result, offsets };
+  }
+
+  // Map each character of a normalized text, keeping offsets; single spaces between words
+  static project(normalized, mapChar) {
+    let text = '';
+    const offsets = [];
+
+    for (let index = 0; index < normalized.text.length; index++) {
+      const char = mapChar(normalized.text[index]);
+
+      if (!char || (char === ' ' && (!text || text.endsWith(' ')))) {
+        continue;
+      }
+
+      text += char;
+      offsets.push(normalized.offsets[index]);
+    }
+
+    return { text, offsets };
+  }
+
+  // Span in a view of the source -> span in the original text
+  static toOriginal(view, span) {
+    return { start: view.offsets[span.start], end: view.offsets[span.end - 1] + 1 };
+  }
+
+  static toWords(value) {
+    return this.normalize(value).text.replace(/[^a-z0-9+#]+/g, ' ').trim();
+  }
+
+  static isWordChar(char) {
+    return char !== undefined && /[a-z0-9+#]/.test(char);
+  }
+}
+
+ResumeProvenance.REVIEW_THRESHOLD = REVIEW_THRESHOLD;
+
+module.exports = ResumeProvenance;
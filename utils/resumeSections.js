@@ -0,0 +1,124 @@
+// Sections every resume can contain, in the order used when nothing else is configured
+const BUILT_IN_SECTIONS = ['summary', 'experience', 'education', 'projects', 'skills', 'certifications'];
+
+const CUSTOM_ENTRY_FIELDS = ['title', 'subtitle', 'date', 'description'];
+
+class ResumeSections {
+  /**
+   * Resolve which sections a resume shows and in which order
+   *
+   * resumeData.sectionOrder lists section keys (built-in names or custom section ids);
+   * sections it leaves out keep their default position after the listed ones.
+   * resumeData.hiddenSections lists keys that are not rendered at all.
+   * resumeData.customSections is [{ id, title, entries: [{ title, subtitle, date, description }] }]
+   *
+   * @param {Object} resumeData - Resume JSON
+   * @param {string[]} defaultOrder - Built-in section order of the template or output format
+   * @returns {Array<Object>} - [{ key, isCustom, title?, entries? }] for visible sections
+   */
+  static resolve(resumeData = {}, defaultOrder = BUILT_IN_SECTIONS) {
+    const builtIns = defaultOrder.filter(key => BUILT_IN_SECTIONS.includes(key));
+    const customSections = this.getCustomSections(resumeData);
+    const hidden = new Set(this.toKeyList(resumeData.hiddenSections));
+
+    const available = new Map();
+    builtIns.forEach(key => available.set(key, { key, isCustom: false }));
+    customSections.forEach(section => available.set(section.key, section));
+
+    const ordered = [];
+    const seen = new Set();
+    const add = (key) => {
+      if (available.has(key) && !seen.has(key)) {
+        seen.add(key);
+        ordered.push(available.get(key));
+      }
+    };
+
+    this.toKeyList(resumeData.sectionOrder).forEach(add);
+    available.forEach((section, key) => add(key));
+
+    return ordered.filter(section => !hidden.has(section.key));
+  }
+
+  /**
+   * Custom sections with a title and at least one entry, keyed by their id
+   * Sections without an id get a positional one; ids clashing with built-ins are skipped
+   */
+  static getCustomSections(resumeData = {}) {
+    if (!Array.isArray(resumeData.customSections)) {
+      return [];
+    }
+
+    return resumeData.customSections
+      .map((section, index) => {
+        if (!section || typeof section !== 'object') {
+          return null;
+        }
+
+        const key = typeof section.id === 'string' && section.id.trim()
+          ? section.id.trim()
+          : `custom-${index + 1}`;
+        const title = typeof section.title === 'string' ? section.title.trim() : '';
+        const entries = (Array.isArray(section.entries) ? section.entries : [])
+          .filter(entry => entry && typeof entry === 'object')
+          .map(entry => {
+            const cleaned = {};
+            CUSTOM_ENTRY_FIELDS.forEach(field => {
+              if (typeof entry[field] === 'string' && entry[field].trim()) {
+                cleaned[field] = entry[field].trim();
+              }
+            });
+            return cleaned;
+          })
+          .filter(entry => Object.keys(entry).length > 0);
+
+        return { key, isCustom: true, title, entries };
+      })
+      .filter(section => section && section.title && section.entries.length > 0
+        && !BUILT_IN_SECTIONS.includes(section.key));
+  }
+
+  /**
+   * Template data with hidden sections removed and the render order attached
+   * Templates loop over `sections` (or `mainSections`/`sidebarSections` for
+   * multi-column layouts) and render each built-in section from the root data
+   * @param {Object} resumeData - Resume JSON
+   * @param {Object} template - Registry entry (supportedSections, sidebarSections)
+   * @returns {Object}
+   */
+  static buildRenderContext(resumeData = {}, template = {}) {
+    const sections = this.resolve(resumeData, template.supportedSections || BUILT_IN_SECTIONS);
+    const visible = new Set(sections.map(section => section.key));
+    const sidebar = template.sidebarSections || [];
+    const context = { ...resumeData };
+
+    // Blanking hidden sections also hides blocks that reuse their data (e.g. skill highlights)
+    BUILT_IN_SECTIONS.forEach(key => {
+      if (!visible.has(key)) {
+        delete context[key];
+      }
+    });
+
+    return {
+      ...context,
+      sections,
+      mainSections: sections.filter(section => !sidebar.includes(section.key)),
+      sidebarSections: sections.filter(section => sidebar.includes(section.key))
+    };
+  }
+
+  static toKeyList(value) {
+    if (!Array.isArray(value)) {
+      return [];
+    }
+
+    return value
+      .filter(key => typeof key === 'string')
+      .map(key => key.trim())
+      .filter(Boolean);
+  }
+}
+
+ResumeSections.BUILT_IN_SECTIONS = BUILT_IN_SECTIONS;
+
+module.exports = ResumeSections;
@@ -0,0 +1,136 @@
+// Font families users can pick, mapped to CSS stacks with safe fallbacks
+const FONT_FAMILIES = {
+  'Arial': "'Arial', 'Helvetica', sans-serif",
+  'Helvetica': "'Helvetica', 'Arial', sans-serif",
+  'Verdana': "'Verdana', 'Geneva', sans-serif",
+  'Trebuchet MS': "'Trebuchet MS', 'Helvetica', sans-serif",
+  'Calibri': "'Calibri', 'Carlito', 'Arial', sans-serif",
+  'Georgia': "'Georgia', 'Times New Roman', serif",
+  'Times New Roman': "'Times New Roman', Times, serif",
+  'Garamond': "'Garamond', 'EB Garamond', 'Times New Roman', serif"
+};
+
+const THEME_LIMITS = {
+  baseFontSize: { min: 8, max: 14 }, // pt
+  lineHeight: { min: 1, max: 2 },
+  margin: { min: 0, max: 96 } // px, horizontal page padding
+};
+
+const DEFAULT_THEME = {
+  baseFontSize: 11,
+  lineHeight: 1.5,
+  margin: 40
+};
+
+const HEX_COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+class ResumeTheme {
+  /**
+   * Validate a theme object from a request
+   * Unknown keys are dropped; missing keys fall back to the template defaults at render time
+   * @param {Object} theme - { accentColor, fontFamily, baseFontSize, lineHeight, margin }
+   * @returns {{ theme?: Object, error?: string }}
+   */
+  static normalize(theme) {
+    if (theme === undefined || theme === null) {
+      return { theme: {} };
+    }
+
+    if (typeof theme !== 'object' || Array.isArray(theme)) {
+      return { error: 'Theme must be an object' };
+    }
+
+    const normalized = {};
+
+    if (theme.accentColor !== undefined && theme.accentColor !== '') {
+      if (typeof theme.accentColor !== 'string' || !HEX_COLOR_PATTERN.test(theme.accentColor)) {
+        return { error: 'accentColor must be a hex colour such as #2c5f7c' };
+      }
+      normalized.accentColor = theme.accentColor.toLowerCase();
+    }
+
+    if (theme.fontFamily !== undefined && theme.fontFamily !== '') {
+      if (!Object.prototype.hasOwnProperty.call(FONT_FAMILIES, theme.fontFamily)) {
+        return { error: `fontFamily must be one of: ${Object.keys(FONT_FAMILIES).join(', ')}` };
+      }
+      normalized.fontFamily = theme.fontFamily;
+    }
+
+    for (const key of Object.keys(THEME_LIMITS)) {
+      if (theme[key] === undefined || theme[key] === '') {
+        continue;
+      }
+
+      const value = Number(theme[key]);
+      const { min, max } = THEME_LIMITS[key];
+
+      if (!Number.isFinite(value) || value < min || value > max) {
+        return { error: `${key} must be a number between ${min} and ${max}` };
+      }
+
+      normalized[key] = value;
+    }
+
+    return { theme: normalized };
+  }
+
+  /**
+   * Numeric size settings in effect for a template: theme overrides, then the
+   * template's manifest defaults, then the global defaults
+   * @returns {{ baseFontSize: number, lineHeight: number, margin: number }}
+   */
+  static resolveSizes(theme = {}, templateDefaults = {}) {
+    const sizes = {};
+
+    Object.keys(THEME_LIMITS).forEach(key => {
+      const candidates = [theme[key], templateDefaults[key], DEFAULT_THEME[key]];
+      sizes[key] = Number(candidates.find(value => value !== undefined && value !== ''));
+    });
+
+    return sizes;
+  }
+
+  /**
+   * Build the CSS custom properties a template reads from its root element
+   * Sizes are expressed as scale factors of the template's own defaults so
+   * headings keep their proportions to body text
+   * @param {Object} theme - Normalized theme
+   * @param {Object} templateDefaults - themeDefaults from the template manifest
+   * @returns {string} - Inline style declarations, empty when no theme is set
+   */
+  static buildStyle(theme = {}, templateDefaults = {}) {
+    const defaults = { ...DEFAULT_THEME, ...templateDefaults };
+    const declarations = [];
+
+    if (theme.accentColor) {
+      declarations.push(`--accent-color: ${theme.accentColor}`);
+    }
+
+    if (theme.fontFamily && FONT_FAMILIES[theme.fontFamily]) {
+      declarations.push(`--font-family: ${FONT_FAMILIES[theme.fontFamily]}`);
+    }
+
+    if (theme.baseFontSize) {
+      declarations.push(`--font-scale: ${this.round(theme.baseFontSize / defaults.baseFontSize)}`);
+    }
+
+    if (theme.lineHeight) {
+      declarations.push(`--line-height-scale: ${this.round(theme.lineHeight / defaults.lineHeight)}`);
+    }
+
+    if (theme.margin !== undefined) {
+      declarations.push(`--page-margin: ${theme.margin}px`);
+    }
+
+    return declarations.join('; ');
+  }
+
+  static round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+ResumeTheme.FONT_FAMILIES = FONT_FAMILIES;
+ResumeTheme.THEME_LIMITS = THEME_LIMITS;
+
+module.exports = ResumeTheme;
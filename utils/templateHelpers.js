@@ -0,0 +1,117 @@
+const ResumeLocale = require('./resumeLocale');
+
+const LIST_SEPARATOR_PATTERN = /\s*[,;|]\s*/;
+
+const HELPER_NAMES = ['heading', 'formatDate', 'dateRange', 'splitList', 'join', 'shortUrl', 'href', 'markdown'];
+
+/**
+ * Handlebars helpers available to every resume template
+ *
+ *   {{heading "experience" "Work Experience"}}   section heading in the resume's language
+ *   {{formatDate startDate}}                     "2021-03" -> "Mar 2021"
+ *   {{dateRange startDate endDate duration}}     "Mar 2021 - Present", or the fallback text when undated
+ *   {{splitList technologies}}                   "React, Node.js; AWS" -> ["React", "Node.js", "AWS"]
+ *   {{join company location sep=" • "}}          non-empty values (or arrays of them) joined
+ *   {{shortUrl personalInfo.linkedin}}           "https://www.linkedin.com/in/jane/" -> "linkedin.com/in/jane"
+ *   {{href personalInfo.linkedin}}               absolute http(s) link, '' for anything else
+ *   {{markdown description}}                     escaped text with **bold**, *italic* and _italic_
+ *
+ * Dates follow the `lang` of the render context (see utils/resumeLocale).
+ */
+class TemplateHelpers {
+  /**
+   * Register the helpers on a Handlebars environment
+   * @param {Object} handlebars - Handlebars instance
+   */
+  static register(handlebars) {
+    const { escapeExpression } = handlebars.Utils;
+
+    handlebars.registerHelper('heading', (key, fallback, options) => {
+      const headings = options.data.root.headings;
+      return (headings && headings[key]) || fallback;
+    });
+
+    handlebars.registerHelper('formatDate', (date, options) =>
+      ResumeLocale.formatDate(date, this.getLanguage(options)));
+
+    handlebars.registerHelper('dateRange', (startDate, endDate, ...rest) => {
+      const options = rest.pop();
+      const fallback = rest[0];
+      return ResumeLocale.formatRange(startDate, endDate, this.getLanguage(options)) || this.toText(fallback);
+    });
+
+    handlebars.registerHelper('splitList', value => this.splitList(value));
+
+    handlebars.registerHelper('join', (...values) => {
+      const options = values.pop();
+      const separator = options.hash.sep !== undefined ? options.hash.sep : ', ';
+      return this.join(values, separator);
+    });
+
+    handlebars.registerHelper('shortUrl', url => this.shortUrl(url));
+
+    handlebars.registerHelper('href', url => this.href(url));
+
+    handlebars.registerHelper('markdown', text =>
+      new handlebars.SafeString(this.markdown(escapeExpression(this.toText(text)))));
+  }
+
+  static getLanguage(options) {
+    return (options && options.data && options.data.root && options.data.root.lang) || ResumeLocale.DEFAULT_LANGUAGE;
+  }
+
+  static splitList(value) {
+    const items = Array.isArray(value) ? value : this.toText(value).split(LIST_SEPARATOR_PATTERN);
+
+    return items.map(item => this.toText(item)).filter(Boolean);
+  }
+
+  static join(values, separator) {
+    return values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .map(value => this.toText(value))
+      .filter(Boolean)
+      .join(separator);
+  }
+
+  static shortUrl(url) {
+    return this.toText(url)
+      .replace(/^https?:\/\//i, '')
+      .replace(/^www\./i, '')
+      .replace(/\/+$/, '');
+  }
+
+  static href(url) {
+    const text = this.toText(url);
+
+    if (!text) {
+      return '';
+    }
+
+    const absolute = /^[a-z][a-z0-9+.-]*:/i.test(text) ? text : `https://${text}`;
+    return /^https?:\/\/[^\s"<>]+$/i.test(absolute) ? absolute : '';
+  }
+
+  /**
+   * Bold and italic markers in already escaped text
+   * Markers must hug a word ("**Led** the team"), so "5 * 3" stays as written
+   */
+  static markdown(escapedText) {
+    return escapedText
+      .replace(/\*\*(?=\S)([^*]+?)(?<=\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?![\w*])/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>');
+  }
+
+  static toText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return String(value).trim();
+  }
+}
+
+TemplateHelpers.HELPER_NAMES = HELPER_NAMES;
+
+module.exports = TemplateHelpers;